@@ -0,0 +1,61 @@
+// Shared beat clock for every engine.
+// Runs on the audio thread, so it keeps time by the sample counter and isn't throttled with the page.
+// Each track walks through IOIs the page supplies: a beat is posted a lookahead before it is due,
+// with its time snapped to a sample frame, and the track then waits for the IOI to its next beat.
+
+const TICK_INTERVAL = 0.025; // seconds between ticks, for work that isn't tied to a beat
+
+class ClockProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.lookahead = 0.1;
+    this.tracks = new Map();
+    this.nextTick = 0;
+    this.running = true;
+    this.port.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'options') {
+        this.lookahead = msg.lookahead;
+      } else if (msg.type === 'track') {
+        this.tracks.set(msg.track, { time: msg.start, index: 0, waiting: false, iois: [] });
+      } else if (msg.type === 'ioi') {
+        const track = this.tracks.get(msg.track);
+        if (track) track.iois.push(msg.ioi);
+      } else if (msg.type === 'stop') {
+        this.running = false;
+      }
+    };
+  }
+
+  // Exact times accumulate unrounded so the snapping never drifts from the IOIs' sum
+  snap(time) {
+    return Math.round(time * sampleRate) / sampleRate;
+  }
+
+  process() {
+    if (!this.running) return false;
+
+    const horizon = currentTime + this.lookahead;
+    for (const [name, track] of this.tracks) {
+      for (;;) {
+        if (track.waiting) {
+          if (track.iois.length === 0) break;
+          track.time += track.iois.shift();
+          track.waiting = false;
+        }
+        if (track.time >= horizon) break;
+        this.port.postMessage({ type: 'beat', track: name, index: track.index, time: this.snap(track.time) });
+        track.index++;
+        track.waiting = true;
+      }
+    }
+
+    if (currentTime >= this.nextTick) {
+      this.port.postMessage({ type: 'tick', time: currentTime });
+      this.nextTick = currentTime + TICK_INTERVAL;
+    }
+    return true;
+  }
+}
+
+registerProcessor('clock-processor', ClockProcessor);
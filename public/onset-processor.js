@@ -0,0 +1,86 @@
+// Real-time note onset detection for the audio input (mic / line in).
+// Runs on the audio thread so onset times are measured on the AudioContext clock.
+
+const REFRACTORY = 0.08;   // seconds — ignore re-triggers from the same note
+const BLEED_WINDOW = 0.06; // seconds after each metronome click arriving at the input
+const LEVEL_INTERVAL = 0.05;
+
+class OnsetProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.sensitivity = 0.5;
+    this.rejection = 4;
+    this.clicks = [];
+    this.prevSample = 0;
+    this.floor = 0.0005;
+    this.lastOnset = -1;
+    this.lastLevelPost = 0;
+    this.peak = 0;
+    this.running = true;
+    this.port.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'options') {
+        this.sensitivity = msg.sensitivity;
+        this.rejection = msg.rejection;
+      } else if (msg.type === 'click') {
+        this.clicks.push(msg.time);
+      } else if (msg.type === 'stop') {
+        this.running = false;
+      }
+    };
+  }
+
+  // Threshold over the noise floor: sensitivity 0 → 40×, 1 → 2×
+  ratio() {
+    return 2 + (1 - this.sensitivity) * 38;
+  }
+
+  // Clicks arrive out of order (beats, subdivisions, reference), so scan them all
+  isNearClick(t) {
+    this.clicks = this.clicks.filter(c => c + BLEED_WINDOW >= t);
+    return this.clicks.some(c => c - 0.005 <= t);
+  }
+
+  process(inputs) {
+    if (!this.running) return false;
+    const input = inputs[0];
+    const channel = input && input[0];
+    if (!channel) return true;
+
+    const blockTime = currentTime;
+    let ratio = this.ratio();
+    if (this.rejection > 1 && this.isNearClick(blockTime)) ratio *= this.rejection;
+
+    // First-order difference acts as a cheap high-pass so low hum doesn't trigger
+    let energy = 0;
+    let firstHot = -1;
+    const hotAmp = Math.sqrt(this.floor * ratio);
+    for (let i = 0; i < channel.length; i++) {
+      const hp = channel[i] - this.prevSample;
+      this.prevSample = channel[i];
+      energy += hp * hp;
+      if (firstHot < 0 && Math.abs(hp) > hotAmp) firstHot = i;
+      this.peak = Math.max(this.peak, Math.abs(channel[i]));
+    }
+    energy /= channel.length;
+
+    if (energy > this.floor * ratio && energy > 1e-6 && blockTime - this.lastOnset > REFRACTORY) {
+      const onset = blockTime + Math.max(0, firstHot) / sampleRate;
+      this.lastOnset = onset;
+      this.port.postMessage({ type: 'onset', time: onset, level: Math.sqrt(energy) });
+    }
+
+    // Track the noise floor slowly upward, quickly downward
+    const rate = energy > this.floor ? 0.002 : 0.05;
+    this.floor = Math.max(1e-7, this.floor + (energy - this.floor) * rate);
+
+    if (blockTime - this.lastLevelPost > LEVEL_INTERVAL) {
+      this.port.postMessage({ type: 'level', peak: this.peak, threshold: Math.min(1, hotAmp) });
+      this.peak = 0;
+      this.lastLevelPost = blockTime;
+    }
+    return true;
+  }
+}
+
+registerProcessor('onset-processor', OnsetProcessor);
@@ -1,4 +1,10 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { createRng, randomSeed } from './rng.js';
+import {
+  KURAMOTO_TOPOLOGIES, SECTION_NAMES, SECTION_COLORS, MAX_SECTIONS, DEFAULT_NETWORK,
+  sectionPairs, sectionAssignments, resizeSections, sectionOrders,
+} from './kuramoto.js';
+import { ROUTINE_PARAMS, RoutineRunner } from './routine.js';
 
 // ─── Wake Lock (keep screen on while playing) ──────────────────────────
 let wakeLockSentinel = null;
@@ -18,9 +24,10 @@ function releaseWakeLock() {
 
 // ─── Pink Noise Generator (Voss-McCartney) ─────────────────────────────
 class PinkNoise {
-  constructor(numGenerators = 7) {
+  constructor(numGenerators = 7, rng = Math.random) {
     this.numGenerators = numGenerators;
-    this.generators = new Array(numGenerators).fill(0).map(() => Math.random() * 2 - 1);
+    this.rng = rng;
+    this.generators = new Array(numGenerators).fill(0).map(() => this.rng() * 2 - 1);
     this.beatCount = 0;
   }
 
@@ -29,83 +36,137 @@ class PinkNoise {
     const changed = this.beatCount ^ (this.beatCount - 1);
     for (let i = 0; i < this.numGenerators; i++) {
       if (changed & (1 << i)) {
-        this.generators[i] = Math.random() * 2 - 1;
+        this.generators[i] = this.rng() * 2 - 1;
       }
     }
     return this.generators.reduce((a, b) => a + b, 0) / this.numGenerators;
   }
 
   reset() {
-    this.generators = new Array(this.numGenerators).fill(0).map(() => Math.random() * 2 - 1);
+    this.generators = new Array(this.numGenerators).fill(0).map(() => this.rng() * 2 - 1);
     this.beatCount = 0;
   }
 }
 
-// ─── Kuramoto Ensemble ──────────────────────────────────────────────────
-class KuramotoEnsemble {
-  constructor(N = 16, baseBPM = 125, spread = 0.03, coupling = 3.0) {
-    this.N = N;
-    this.baseFreq = baseBPM / 60;
-    this.coupling = coupling;
-    this.spread = spread;
-    this.frustration = 0;
-    // Initialize phases clustered near 0 (±π/6) so ensemble starts synchronized
-    this.phases = new Array(N).fill(0).map(() => (Math.random() - 0.5) * Math.PI / 3);
-    this.naturalFreqs = new Array(N).fill(0).map(() =>
-      this.baseFreq * (1 + (Math.random() * 2 - 1) * spread)
-    );
+// ─── Player Taps (the human as one more Kuramoto oscillator) ────────────
+// The ensemble only needs the last tap and the player's tempo to run their phase forward
+class PlayerOscillator {
+  constructor() {
+    this.taps = [];
   }
 
-  step(dt) {
-    const newPhases = new Array(this.N);
-    for (let i = 0; i < this.N; i++) {
-      let couplingSum = 0;
-      for (let j = 0; j < this.N; j++) {
-        couplingSum += Math.sin(this.phases[j] - this.phases[i] - this.frustration);
-      }
-      const dtheta = this.naturalFreqs[i] + (this.coupling / this.N) * couplingSum;
-      newPhases[i] = this.phases[i] + dtheta * dt;
-    }
-    this.phases = newPhases;
+  tap(time) {
+    this.taps.push(time);
+    if (this.taps.length > 9) this.taps.shift();
+  }
+
+  period() {
+    const intervals = intervalsOf(this.taps).slice(-4);
+    return intervals.length > 0 ? intervals.reduce((a, b) => a + b, 0) / intervals.length : null;
+  }
+
+  snapshot() {
+    return { lastTap: this.taps[this.taps.length - 1], period: this.period() };
   }
+}
+
+// ─── Fractal Timekeeper (pink noise shaped by color β) ──────────────────
+class FractalTimekeeper {
+  constructor(rng = Math.random) {
+    this.rng = rng;
+    this.pinkNoise = new PinkNoise(7, rng);
+    this.smoothed = 0;
+  }
+
+  nextIOI(bpm, drift, beta) {
+    const baseIOI = 60.0 / bpm;
+    let sample = this.pinkNoise.next();
 
-  getOrderParameter() {
-    let sumCos = 0, sumSin = 0;
-    for (let i = 0; i < this.N; i++) {
-      sumCos += Math.cos(this.phases[i]);
-      sumSin += Math.sin(this.phases[i]);
+    // White-pink-brown blending
+    if (beta < 1) {
+      const white = this.rng() * 2 - 1;
+      sample = sample * beta + white * (1 - beta);
+    } else if (beta > 1) {
+      const alpha = Math.pow(2, -(beta - 1));
+      this.smoothed = this.smoothed * (1 - alpha) + sample * alpha;
+      sample = this.smoothed;
     }
-    const r = Math.sqrt(sumCos * sumCos + sumSin * sumSin) / this.N;
-    const psi = Math.atan2(sumSin, sumCos);
-    return { r, psi };
-  }
-
-  getPhases() {
-    return this.phases.map(p => ((p % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI));
-  }
-
-  reconfigure(N, baseBPM, spread, coupling, frustration) {
-    const newBaseFreq = baseBPM / 60;
-    if (N !== this.N) {
-      // Get mean phase BEFORE changing N (old array length must match old this.N)
-      const { psi } = this.getOrderParameter();
-      this.N = N;
-      this.phases = new Array(N).fill(0).map(() => psi + (Math.random() - 0.5) * Math.PI / 3);
-      this.naturalFreqs = new Array(N).fill(0).map(() =>
-        newBaseFreq * (1 + (Math.random() * 2 - 1) * spread)
-      );
-    } else if (spread !== this.spread || Math.abs(newBaseFreq - this.baseFreq) > 0.001) {
-      this.naturalFreqs = new Array(N).fill(0).map(() =>
-        newBaseFreq * (1 + (Math.random() * 2 - 1) * spread)
-      );
+
+    const cv = drift / 100;
+    return baseIOI * (1 + sample * cv);
+  }
+
+  reset() {
+    this.pinkNoise.reset();
+    this.smoothed = 0;
+  }
+}
+
+// ─── Wing–Kristofferson Timekeeper (central clock + motor delays) ───────
+// IOI_n = C_n + D_{n+1} − D_n. The clock intervals C carry the (optionally long-range) noise;
+// each motor delay D is independent, and because it enters two neighbouring IOIs with opposite
+// signs it gives the negative lag-1 autocorrelation seen in human tapping.
+const WK_NOISES = [
+  { id: 'pink', label: '1/f' },
+  { id: 'walk', label: 'Random walk' },
+  { id: 'white', label: 'White' },
+];
+const PINK_NOISE_SD = Math.sqrt(1 / 21); // mean of 7 uniform(−1, 1) generators
+const WALK_POLE = 0.98;                   // AR(1) pole of the bounded random walk
+
+class WingKristoffersonTimekeeper {
+  constructor(rng = Math.random) {
+    this.rng = rng;
+    this.pinkNoise = new PinkNoise(7, rng);
+    this.walk = 0;
+    this.prevMotor = null;
+  }
+
+  gaussian() {
+    const u = 1 - this.rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.rng());
+  }
+
+  // Unit-variance clock noise sample
+  clockNoise(type) {
+    if (type === 'pink') return this.pinkNoise.next() / PINK_NOISE_SD;
+    if (type === 'walk') {
+      this.walk = this.walk * WALK_POLE + this.gaussian() * Math.sqrt(1 - WALK_POLE * WALK_POLE);
+      return this.walk;
     }
-    this.baseFreq = newBaseFreq;
-    this.spread = spread;
-    this.coupling = coupling;
-    this.frustration = frustration;
+    return this.gaussian();
+  }
+
+  // clockSD in % of the base IOI, motorSD in ms
+  nextIOI(bpm, clockSD, motorSD, noise) {
+    const baseIOI = 60.0 / bpm;
+    const clockInterval = baseIOI * (1 + (this.clockNoise(noise) * clockSD) / 100);
+    if (this.prevMotor === null) this.prevMotor = (this.gaussian() * motorSD) / 1000;
+    const motor = (this.gaussian() * motorSD) / 1000;
+    const ioi = clockInterval + motor - this.prevMotor;
+    this.prevMotor = motor;
+    return Math.max(baseIOI * 0.5, ioi);
   }
 }
 
+// Lag-1 IOI autocorrelation predicted by the model for a white clock: −σD² / (σC² + 2σD²)
+function wkLag1(baseIOI, clockSD, motorSD) {
+  const clockVar = ((baseIOI * clockSD) / 100) ** 2;
+  const motorVar = (motorSD / 1000) ** 2;
+  return clockVar + motorVar > 0 ? -motorVar / (clockVar + 2 * motorVar) : 0;
+}
+
+function lag1Autocorrelation(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  let num = 0;
+  let den = 0;
+  values.forEach((v, i) => {
+    den += (v - mean) ** 2;
+    if (i > 0) num += (v - mean) * (values[i - 1] - mean);
+  });
+  return den > 0 ? num / den : 0;
+}
+
 // ─── PLL Metronome ──────────────────────────────────────────────────────
 class PLLMetronome {
   constructor(baseBPM = 125, Kp = 0.25, Ki = 0.02) {
@@ -136,6 +197,13 @@ class PLLMetronome {
     return 1.0 / this.ncoFreq;
   }
 
+  // Move the free-running tempo while keeping the current correction in proportion
+  setBaseBPM(baseBPM) {
+    const freq = baseBPM / 60;
+    this.ncoFreq *= freq / this.baseFreq;
+    this.baseFreq = freq;
+  }
+
   reset(baseBPM) {
     this.baseFreq = baseBPM / 60;
     this.ncoFreq = this.baseFreq;
@@ -145,9 +213,88 @@ class PLLMetronome {
   }
 }
 
+// ─── ADAM Partner (adaptation + anticipation) ───────────────────────────
+// After the Adaptation and Anticipation Model: the adaptation module corrects phase and
+// period from the last asynchrony, as the PLL does, while the anticipation module fits a
+// line through the player's recent tap IOIs and extrapolates it to predict their next taps.
+// Each beat lands on a blend of the two.
+const ADAM_MIN_INTERVALS = 2;
+const ADAM_LOOKAHEAD = 8; // projected taps searched for the next beat
+
+class AdamPartner {
+  constructor(baseBPM = 125, phaseGain = 0.5, periodGain = 0.1, window = 6) {
+    this.phaseGain = phaseGain;
+    this.periodGain = periodGain;
+    this.window = window;
+    this.reset(baseBPM);
+  }
+
+  reset(baseBPM) {
+    this.baseIOI = 60 / baseBPM;
+    this.period = this.baseIOI;
+    this.phaseCorrection = 0;
+    this.taps = [];
+  }
+
+  // Move the free-running tempo while keeping the learned period in proportion
+  setBaseBPM(baseBPM) {
+    const ioi = 60 / baseBPM;
+    this.period *= ioi / this.baseIOI;
+    this.baseIOI = ioi;
+  }
+
+  clampIOI(ioi) {
+    return Math.max(this.baseIOI / 1.5, Math.min(this.baseIOI * 1.5, ioi));
+  }
+
+  // Upcoming tap times extrapolated from the linear trend of the last `window` tap IOIs
+  projectTaps(count = ADAM_LOOKAHEAD) {
+    const recent = this.taps.slice(-(this.window + 1));
+    if (recent.length < ADAM_MIN_INTERVALS + 1) return [];
+    const iois = recent.slice(1).map((t, i) => t - recent[i]);
+    const { slope, intercept } = linearFit(iois.map((_, i) => i), iois);
+    const projected = [];
+    let time = recent[recent.length - 1];
+    for (let k = 0; k < count; k++) {
+      time += this.clampIOI(intercept + slope * (iois.length + k));
+      projected.push(time);
+    }
+    return projected;
+  }
+
+  // Returns the asynchrony and where the anticipation module expected this tap (null before it has enough taps)
+  onTap(tapTime, scheduledBeatTime) {
+    const projected = this.projectTaps();
+    let predicted = null;
+    for (const p of projected) {
+      if (predicted === null || Math.abs(p - tapTime) < Math.abs(predicted - tapTime)) predicted = p;
+    }
+
+    // A pause or a doubled tap starts a new phrase so the trend isn't fitted across it
+    const last = this.taps[this.taps.length - 1];
+    const ioi = last === undefined ? null : tapTime - last;
+    if (ioi !== null && (ioi < this.period * 0.6 || ioi > this.period * 1.5)) this.taps = [];
+    this.taps.push(tapTime);
+    if (this.taps.length > 32) this.taps.shift();
+
+    const asynchrony = tapTime - scheduledBeatTime;
+    this.phaseCorrection = this.phaseGain * asynchrony;
+    this.period = this.clampIOI(this.period + this.periodGain * asynchrony);
+    return { asynchrony, predicted };
+  }
+
+  // IOI to the beat after beatTime; blend 0 is pure adaptation, 1 pure anticipation
+  nextIOI(beatTime, blend) {
+    const adapted = this.period + this.phaseCorrection;
+    this.phaseCorrection = 0;
+    const target = this.projectTaps().find(p => p > beatTime + adapted * 0.5);
+    const ioi = target === undefined ? adapted : (1 - blend) * adapted + blend * (target - beatTime);
+    return this.clampIOI(ioi);
+  }
+}
+
 // ─── Constants ──────────────────────────────────────────────────────────
 const SCHEDULE_AHEAD = 0.1;
-const TIMER_INTERVAL = 25;
 const TEMPO_PRESETS = [
   { label: 'Deep 120', bpm: 120 },
   { label: 'House 125', bpm: 125 },
@@ -170,271 +317,4521 @@ const SUBDIV_OPTIONS = [
   { label: '♬♬', value: 4, desc: '16th' },
 ];
 
+// ─── Meters and accent patterns ─────────────────────────────────────────
+// Each engine beat is one counted unit of the meter (an eighth in x/8)
+const TIME_SIGNATURES = [
+  { label: '2/4', beats: 2, unit: 4, groupings: [[2]] },
+  { label: '3/4', beats: 3, unit: 4, groupings: [[3]] },
+  { label: '4/4', beats: 4, unit: 4, groupings: [[4]] },
+  { label: '5/4', beats: 5, unit: 4, groupings: [[3, 2], [2, 3]] },
+  { label: '5/8', beats: 5, unit: 8, groupings: [[3, 2], [2, 3]] },
+  { label: '6/8', beats: 6, unit: 8, groupings: [[3, 3]] },
+  { label: '7/8', beats: 7, unit: 8, groupings: [[2, 2, 3], [3, 2, 2], [2, 3, 2]] },
+  { label: '9/8', beats: 9, unit: 8, groupings: [[3, 3, 3]] },
+  { label: '12/8', beats: 12, unit: 8, groupings: [[3, 3, 3, 3]] },
+];
+const ACCENT_CYCLE = ['strong', 'medium', 'weak', 'mute'];
+const ACCENT_CODES = { strong: 's', medium: 'm', weak: 'w', mute: 'x' };
+
+// Bar start strong, each further group start medium, the rest weak
+function defaultAccents(grouping) {
+  const accents = [];
+  grouping.forEach((size, g) => {
+    for (let i = 0; i < size; i++) accents.push(i > 0 ? 'weak' : g === 0 ? 'strong' : 'medium');
+  });
+  return accents;
+}
+
+function makeMeter(label, grouping) {
+  const sig = TIME_SIGNATURES.find(t => t.label === label) || TIME_SIGNATURES[2];
+  const group = grouping && sig.groupings.some(g => g.join() === grouping.join()) ? grouping : sig.groupings[0];
+  return { label: sig.label, beats: sig.beats, unit: sig.unit, grouping: group, accents: defaultAccents(group) };
+}
+
+const DEFAULT_METER = makeMeter('4/4');
+
+function beatAccent(meter, beatNum) {
+  return meter.accents[beatNum % meter.beats];
+}
+
+// ─── Groove templates ───────────────────────────────────────────────────
+// Step positions are fractions of the current beat, so the groove stretches with the engine's IOI.
+// Tables cover the steps after the beat click (up to three for 16ths).
+const GROOVE_TEMPLATES = [
+  { id: 'straight', label: 'Straight' },
+  { id: 'swing', label: 'MPC swing' },
+  { id: 'custom', label: 'Custom' },
+];
+const GROOVE_STEPS = 3;
+const DEFAULT_GROOVE = {
+  template: 'straight',
+  swing: 50,                            // % of a step pair taken by its first step (50 = straight, 66 = triplet)
+  offsets: Array(GROOVE_STEPS).fill(0), // % of one step, −50…+50
+  velocities: Array(GROOVE_STEPS).fill(1),
+};
+
+// Position (fraction of the beat) and velocity of every subdivision click after the beat
+function grooveSteps(groove, subdiv) {
+  const steps = [];
+  for (let s = 1; s < subdiv; s++) {
+    let pos = s / subdiv;
+    let velocity = 1;
+    if (groove.template === 'swing' && subdiv % 2 === 0 && s % 2 === 1) {
+      // MPC swing delays the off-step of each pair of steps
+      pos = (s - 1 + (2 * groove.swing) / 100) / subdiv;
+    } else if (groove.template === 'custom') {
+      pos = (s + groove.offsets[s - 1] / 100) / subdiv;
+      velocity = groove.velocities[s - 1];
+    }
+    steps.push({ pos, velocity });
+  }
+  return steps;
+}
+
+// Compact URL form: 'swing_62' or 'custom_<offsets>_<velocities>' with comma lists
+function grooveToQuery(groove) {
+  if (groove.template === 'swing') return `swing_${groove.swing}`;
+  if (groove.template === 'custom') {
+    return `custom_${groove.offsets.join(',')}_${groove.velocities.join(',')}`;
+  }
+  return 'straight';
+}
+
+function grooveFromQuery(raw) {
+  const [template, a, b] = raw.split('_');
+  if (template === 'swing') {
+    return { ...DEFAULT_GROOVE, template, swing: clampNumber(Number(a), 50, 75, DEFAULT_GROOVE.swing) };
+  }
+  if (template === 'custom' && a && b) {
+    const table = (list, min, max, fallback) => Array.from({ length: GROOVE_STEPS },
+      (_, i) => clampNumber(Number(list.split(',')[i]), min, max, fallback));
+    return { ...DEFAULT_GROOVE, template, offsets: table(a, -50, 50, 0), velocities: table(b, 0, 1, 1) };
+  }
+  return DEFAULT_GROOVE;
+}
+
+// 'all', 'ring', 'nearest_2', 'smallWorld_2_0.1' or 'sections_<shares>_<weights>_<lags>'
+function networkToQuery(network) {
+  const { topology } = network;
+  if (topology === 'nearest') return `nearest_${network.reach}`;
+  if (topology === 'smallWorld') return `smallWorld_${network.reach}_${network.rewire}`;
+  if (topology === 'sections') {
+    return `sections_${network.sections.join(',')}_${network.crossWeights.join(',')}_${network.crossLags.join(',')}`;
+  }
+  return topology;
+}
+
+function networkFromQuery(raw) {
+  const [topology, a, b, c] = raw.split('_');
+  if (!KURAMOTO_TOPOLOGIES.some(t => t.id === topology)) return DEFAULT_NETWORK;
+  const network = { ...DEFAULT_NETWORK, topology };
+  if (topology === 'nearest' || topology === 'smallWorld') network.reach = Math.round(clampNumber(Number(a), 1, 4, DEFAULT_NETWORK.reach));
+  if (topology === 'smallWorld') network.rewire = clampNumber(Number(b), 0, 1, DEFAULT_NETWORK.rewire);
+  if (topology === 'sections' && a) {
+    const count = Math.max(2, Math.min(MAX_SECTIONS, a.split(',').length));
+    const list = (text, min, max, fallback, length) => Array.from({ length },
+      (_, i) => clampNumber(Number((text || '').split(',')[i]), min, max, fallback));
+    const pairs = sectionPairs(count).length;
+    network.sections = list(a, 10, 90, 50, count);
+    network.crossWeights = list(b, 0, 1, DEFAULT_NETWORK.crossWeights[0], pairs);
+    network.crossLags = list(c, -90, 90, 0, pairs);
+  }
+  return network;
+}
+
+function clampNumber(value, min, max, fallback) {
+  return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+}
+
+// ─── Engine configs and shareable URLs ──────────────────────────────────
+// seed: null means "new seed each play"
+const ENGINE_DEFAULTS = {
+  fractal: { bpm: 125, subdivision: 1, groove: DEFAULT_GROOVE, refClick: false, meter: DEFAULT_METER, drift: 2, color: 1.0, seed: null },
+  kuramoto: { bpm: 125, subdivision: 1, groove: DEFAULT_GROOVE, refClick: false, meter: DEFAULT_METER, ensembleSize: 16, coupling: 5.0, spread: 1.5, frustration: 0, playerCoupling: 2.0, network: DEFAULT_NETWORK, voices: 0, voiceLevel: 50, seed: null },
+  wk: { bpm: 125, subdivision: 1, groove: DEFAULT_GROOVE, refClick: false, meter: DEFAULT_METER, clockNoise: 'pink', clockSD: 1.5, motorSD: 10, seed: null },
+  adam: { bpm: 125, subdivision: 1, groove: DEFAULT_GROOVE, refClick: false, meter: DEFAULT_METER, blend: 50, phaseGain: 0.5, periodGain: 0.1, tapWindow: 6 },
+  pll: { bpm: 125, subdivision: 1, groove: DEFAULT_GROOVE, refClick: false, meter: DEFAULT_METER, mode: 'Cooperative', Kp: 0.25, Ki: 0.02 },
+};
+
+// Config key → [URL key, min, max]; booleans and strings are handled by type
+const URL_PARAMS = {
+  bpm: ['bpm', 80, 180],
+  subdivision: ['sub', 1, 4],
+  refClick: ['ref'],
+  groove: ['grv'],
+  meter: ['ts'], // plus 'grp' (grouping) and 'acc' (accent letters)
+  drift: ['drift', 0, 5],
+  color: ['color', 0, 2],
+  clockNoise: ['noise'],
+  clockSD: ['csd', 0, 5],
+  motorSD: ['msd', 0, 30],
+  blend: ['blend', 0, 100],
+  phaseGain: ['pc', 0, 1],
+  periodGain: ['tc', 0, 0.5],
+  tapWindow: ['win', 3, 12],
+  ensembleSize: ['n', 4, 512],
+  coupling: ['k', 0, 10],
+  spread: ['spread', 0, 10],
+  frustration: ['alpha', 0, 45],
+  playerCoupling: ['pk', 0, 10],
+  network: ['net'],
+  voices: ['vox', 0, 64],
+  voiceLevel: ['voxlvl', 0, 100],
+  mode: ['mode'],
+  Kp: ['kp', -0.5, 1],
+  Ki: ['ki', 0, 0.1],
+  seed: ['seed', 0, 4294967295],
+};
+
+function parseConfigFromURL(search) {
+  const query = new URLSearchParams(search);
+  const configs = {};
+  for (const [engine, defaults] of Object.entries(ENGINE_DEFAULTS)) configs[engine] = { ...defaults };
+  const tab = query.get('tab') || 'fractal';
+  const config = configs[tab];
+  if (!config) return { tab: tab === 'history' ? tab : 'fractal', configs };
+
+  for (const key of Object.keys(config)) {
+    const [urlKey, min, max] = URL_PARAMS[key];
+    const raw = query.get(urlKey);
+    if (raw === null) continue;
+    if (key === 'refClick') {
+      config.refClick = raw === '1' || raw === 'true';
+    } else if (key === 'meter') {
+      config.meter = meterFromQuery(raw, query.get('grp'), query.get('acc'));
+    } else if (key === 'groove') {
+      config.groove = grooveFromQuery(raw);
+    } else if (key === 'network') {
+      config.network = networkFromQuery(raw);
+    } else if (key === 'clockNoise') {
+      if (WK_NOISES.some(n => n.id === raw)) config.clockNoise = raw;
+    } else if (key === 'mode') {
+      const mode = PLL_MODES.find(m => m.label.toLowerCase() === raw.toLowerCase());
+      if (mode) config.mode = mode.label;
+    } else if (raw !== '' && Number.isFinite(Number(raw))) {
+      config[key] = Math.max(min, Math.min(max, Number(raw)));
+      if (['ensembleSize', 'seed', 'subdivision', 'tapWindow', 'voices'].includes(key)) config[key] = Math.round(config[key]);
+    }
+  }
+  return { tab, configs };
+}
+
+function configToQuery(tab, config) {
+  const query = new URLSearchParams({ tab });
+  if (!config) return query.toString();
+  for (const [key, value] of Object.entries(config)) {
+    if (value === null || value === undefined) continue;
+    // Kp/Ki only matter for the Custom PLL mode; the built-in modes carry their own gains
+    if ((key === 'Kp' || key === 'Ki') && !isCustomGains(config.mode)) continue;
+    // User-made modes only exist on this device, so links carry them as Custom gains
+    if (key === 'mode' && isCustomGains(value)) {
+      query.set('mode', 'Custom');
+      continue;
+    }
+    if (key === 'groove') {
+      query.set('grv', grooveToQuery(value));
+      continue;
+    }
+    if (key === 'network') {
+      query.set('net', networkToQuery(value));
+      continue;
+    }
+    if (key === 'meter') {
+      query.set('ts', value.label);
+      if (value.grouping.length > 1) query.set('grp', value.grouping.join('-'));
+      query.set('acc', value.accents.map(a => ACCENT_CODES[a]).join(''));
+      continue;
+    }
+    const urlKey = URL_PARAMS[key][0];
+    query.set(urlKey, key === 'refClick' ? (value ? '1' : '0') : String(value));
+  }
+  return query.toString();
+}
+
+function meterFromQuery(label, grouping, accents) {
+  const meter = makeMeter(label, grouping ? grouping.split('-').map(Number) : null);
+  const codes = Object.fromEntries(Object.entries(ACCENT_CODES).map(([k, v]) => [v, k]));
+  if (accents && accents.length === meter.beats && [...accents].every(c => codes[c])) {
+    meter.accents = [...accents].map(c => codes[c]);
+  }
+  return meter;
+}
+
+function tempoButtons(library) {
+  return [...TEMPO_PRESETS, ...library.tempos.map(t => ({ label: t.name, bpm: t.bpm }))];
+}
+
+function isCustomGains(modeLabel) {
+  return !PLL_MODES.some(m => m.label === modeLabel && m.Kp !== null);
+}
+
+// ─── Preset library (localStorage) ──────────────────────────────────────
+// Lists: per-engine setting presets, user PLL modes, user tempo buttons and practice routines
+const PRESET_STORAGE_KEY = 'modulating-metronome-presets';
+const PRESET_FORMAT = 'modulating-metronome-presets';
+const PRESET_LISTS = ['fractal', 'kuramoto', 'wk', 'pll', 'adam', 'pllModes', 'tempos', 'routines'];
+
+function emptyPresetLibrary() {
+  return Object.fromEntries(PRESET_LISTS.map(list => [list, []]));
+}
+
+function presetId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// Built-in mode labels can't be reused: modes are looked up, and keyed, by name
+function isModeNameTaken(modes, name, exceptId = null) {
+  const lower = name.trim().toLowerCase();
+  return PLL_MODES.some(m => m.label.toLowerCase() === lower)
+    || modes.some(m => m.id !== exceptId && m.name.trim().toLowerCase() === lower);
+}
+
+// Imported or stored configs come from anywhere: keep known keys, clamp numbers into range
+// and fill gaps from the defaults. Returns null for anything that can't be used as-is.
+function sanitizeConfig(engine, config) {
+  if (!config || typeof config !== 'object') return null;
+  const clean = { ...ENGINE_DEFAULTS[engine] };
+  try {
+    for (const key of Object.keys(clean)) {
+      if (config[key] === undefined) continue;
+      const value = config[key];
+      const [, min, max] = URL_PARAMS[key];
+      if (key === 'refClick') {
+        if (typeof value !== 'boolean') return null;
+        clean.refClick = value;
+      } else if (key === 'meter') {
+        const accents = Array.isArray(value.accents) ? value.accents.map(a => ACCENT_CODES[a] || '?').join('') : null;
+        clean.meter = meterFromQuery(String(value.label), Array.isArray(value.grouping) ? value.grouping.join('-') : null, accents);
+      } else if (key === 'groove') {
+        clean.groove = grooveFromQuery(grooveToQuery(value));
+      } else if (key === 'network') {
+        clean.network = networkFromQuery(networkToQuery(value));
+      } else if (key === 'clockNoise') {
+        if (!WK_NOISES.some(n => n.id === value)) return null;
+        clean.clockNoise = value;
+      } else if (key === 'mode') {
+        if (typeof value !== 'string') return null;
+        clean.mode = value;
+      } else if (key === 'seed' && value === null) {
+        clean.seed = null;
+      } else {
+        if (!Number.isFinite(value)) return null;
+        clean[key] = Math.max(min, Math.min(max, value));
+        if (['ensembleSize', 'seed', 'subdivision', 'tapWindow', 'voices'].includes(key)) clean[key] = Math.round(clean[key]);
+      }
+    }
+  } catch {
+    return null;
+  }
+  return clean;
+}
+
+function isValidRoutineStep(step, paramDefs) {
+  const known = id => paramDefs.some(p => p.id === id);
+  const finite = Number.isFinite;
+  if (!step || typeof step !== 'object') return false;
+  if (step.type === 'hold') {
+    return finite(step.bars) && step.bars >= 1 && !!step.values && typeof step.values === 'object'
+      && Object.entries(step.values).every(([id, v]) => known(id) && finite(v));
+  }
+  if (step.type === 'stepUp') {
+    return known(step.param) && finite(step.by) && finite(step.to) && finite(step.everyBars) && step.everyBars >= 1;
+  }
+  if (step.type === 'ramp') {
+    return known(step.param) && finite(step.to) && (step.from === null || step.from === undefined || finite(step.from))
+      && finite(step.length) && step.length > 0 && (step.unit === 'bars' || step.unit === 'minutes');
+  }
+  return false;
+}
+
+// One list entry as it will be kept, or null to drop it
+function sanitizePresetItem(list, item) {
+  if (!item || typeof item !== 'object' || typeof item.name !== 'string' || !item.name.trim()) return null;
+  const { id, name } = item;
+  if (ENGINE_DEFAULTS[list]) {
+    const config = sanitizeConfig(list, item.config);
+    return config && { id, name, config };
+  }
+  if (list === 'tempos') {
+    if (!Number.isFinite(item.bpm)) return null;
+    return { id, name, bpm: Math.max(URL_PARAMS.bpm[1], Math.min(URL_PARAMS.bpm[2], item.bpm)) };
+  }
+  if (list === 'pllModes') {
+    if (!Number.isFinite(item.Kp) || !Number.isFinite(item.Ki)) return null;
+    const Kp = Math.max(URL_PARAMS.Kp[1], Math.min(URL_PARAMS.Kp[2], item.Kp));
+    const Ki = Math.max(URL_PARAMS.Ki[1], Math.min(URL_PARAMS.Ki[2], item.Ki));
+    return { id, name, Kp, Ki, desc: typeof item.desc === 'string' ? item.desc : `Kp ${Kp}, Ki ${Ki}` };
+  }
+  // routines
+  const paramDefs = ROUTINE_PARAMS[item.engine];
+  if (!paramDefs || !Array.isArray(item.steps) || item.steps.length === 0) return null;
+  if (!item.steps.every(step => isValidRoutineStep(step, paramDefs))) return null;
+  return { id, name, engine: item.engine, steps: item.steps };
+}
+
+// Keeps the usable entries of each list; PLL modes also lose reserved and repeated names
+function sanitizePresetLists(source, existing = emptyPresetLibrary()) {
+  const lists = emptyPresetLibrary();
+  for (const list of PRESET_LISTS) {
+    if (!source || !Array.isArray(source[list])) continue;
+    for (const raw of source[list]) {
+      const item = sanitizePresetItem(list, raw);
+      if (!item) continue;
+      if (list === 'pllModes' && isModeNameTaken([...existing.pllModes, ...lists.pllModes], item.name)) continue;
+      lists[list].push(item);
+    }
+  }
+  return lists;
+}
+
+function loadPresetLibrary() {
+  try {
+    return sanitizePresetLists(JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)));
+  } catch { /* missing or corrupt — start empty */ }
+  return emptyPresetLibrary();
+}
+
+function usePresetLibrary() {
+  const [library, setLibrary] = useState(loadPresetLibrary);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(library));
+    } catch { /* storage full or disabled */ }
+  }, [library]);
+
+  const updateList = useCallback((list, fn) => {
+    setLibrary(prev => ({ ...prev, [list]: fn(prev[list]) }));
+  }, []);
+
+  const add = useCallback((list, item) => {
+    updateList(list, items => [...items, { ...item, id: presetId() }]);
+  }, [updateList]);
+
+  const rename = useCallback((list, id, name) => {
+    updateList(list, items => {
+      if (list === 'pllModes' && isModeNameTaken(items, name, id)) return items;
+      return items.map(item => item.id === id ? { ...item, name } : item);
+    });
+  }, [updateList]);
+
+  const move = useCallback((list, id, delta) => {
+    updateList(list, items => {
+      const from = items.findIndex(item => item.id === id);
+      const to = from + delta;
+      if (from < 0 || to < 0 || to >= items.length) return items;
+      const next = [...items];
+      [next[from], next[to]] = [next[to], next[from]];
+      return next;
+    });
+  }, [updateList]);
+
+  const remove = useCallback((list, id) => {
+    updateList(list, items => items.filter(item => item.id !== id));
+  }, [updateList]);
+
+  const exportFile = useCallback(() => {
+    const json = { format: PRESET_FORMAT, version: 1, ...library };
+    downloadBlob(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), 'metronome-presets.json');
+  }, [library]);
+
+  // Merge a shared file in; malformed entries and names already in that list are skipped
+  const importFile = useCallback(async (file) => {
+    const json = JSON.parse(await file.text());
+    if (!json || json.format !== PRESET_FORMAT) throw new Error('Not a preset file');
+    setLibrary(prev => {
+      const imported = sanitizePresetLists(json, prev);
+      const next = { ...prev };
+      for (const list of PRESET_LISTS) {
+        const names = new Set(prev[list].map(item => item.name));
+        const incoming = imported[list]
+          .filter(item => !names.has(item.name))
+          .map(item => ({ ...item, id: presetId() }));
+        next[list] = [...prev[list], ...incoming];
+      }
+      return next;
+    });
+  }, []);
+
+  return { library, add, rename, move, remove, exportFile, importFile };
+}
+
+// ─── Click kits ─────────────────────────────────────────────────────────
+// Built-in kits are synthesized once into AudioBuffers; an AudioBuffer plays in any context,
+// live or offline, so the same samples serve playback and rendering.
+const KIT_SAMPLE_RATE = 48000;
+const KIT_ROLES = [
+  { id: 'downbeat', label: 'Downbeat' },
+  { id: 'beat', label: 'Beat' },
+  { id: 'subdiv', label: 'Subdivision' },
+  { id: 'ref', label: 'Reference' },
+];
+
+const DRUM_SYNTHS = {
+  woodblock: (t, freq) => (Math.sin(2 * Math.PI * freq * t) * Math.exp(-t * 60)
+    + 0.3 * Math.sin(2 * Math.PI * freq * 2.7 * t) * Math.exp(-t * 90)),
+  rimshot: (t, freq, noise) => (0.6 * Math.sin(2 * Math.PI * freq * t) + 0.5 * noise) * Math.exp(-t * 70),
+  hihat: (t, decay, noise) => noise * Math.exp(-t / decay),
+  kick: (t, freq) => {
+    // Pitch falls from 3× to the fundamental; phase is the integral of that sweep
+    const phase = 2 * Math.PI * (freq * t + (2 * freq * (1 - Math.exp(-t * 30))) / 30);
+    return Math.sin(phase) * Math.exp(-t * 8);
+  },
+  cowbell: (t, freq) => (Math.tanh(3 * Math.sin(2 * Math.PI * freq * t))
+    + Math.tanh(3 * Math.sin(2 * Math.PI * freq * 1.48 * t))) * Math.exp(-t * 12),
+  // Three quick hand slaps, then the room tail
+  clap: (t, decay, noise) => noise * (Math.max(...[0, 0.011, 0.023].map(k => (t >= k ? Math.exp(-(t - k) * 180) : 0)))
+    + 0.6 * Math.exp(-t / decay) * (t >= 0.023 ? 1 : 0)),
+};
+const DRUM_LENGTHS = { woodblock: 0.08, rimshot: 0.07, hihat: 0.3, kick: 0.4, cowbell: 0.3, clap: 0.3 };
+
+const CLICK_KITS = [
+  { id: 'beep', label: 'Beep' }, // the original oscillator clicks
+  { id: 'woodblock', label: 'Woodblock', voices: { downbeat: ['woodblock', 1500], beat: ['woodblock', 1100], subdiv: ['woodblock', 1900], ref: ['rimshot', 900] } },
+  { id: 'rimshot', label: 'Rimshot', voices: { downbeat: ['rimshot', 700], beat: ['rimshot', 500], subdiv: ['hihat', 0.02], ref: ['woodblock', 1300] } },
+  { id: 'hihat', label: 'Hi-hat', voices: { downbeat: ['hihat', 0.12], beat: ['hihat', 0.05], subdiv: ['hihat', 0.02], ref: ['rimshot', 600] } },
+  { id: 'kick', label: 'Kick', voices: { downbeat: ['kick', 55], beat: ['kick', 48], subdiv: ['hihat', 0.02], ref: ['rimshot', 600] } },
+  { id: 'cowbell', label: 'Cowbell', voices: { downbeat: ['cowbell', 587], beat: ['cowbell', 540], subdiv: ['hihat', 0.02], ref: ['woodblock', 1300] } },
+];
+
+const drumCache = new Map();
+
+function synthesizeDrum(type, param) {
+  const key = `${type}:${param}`;
+  if (drumCache.has(key)) return drumCache.get(key);
+  const length = Math.round(DRUM_LENGTHS[type] * KIT_SAMPLE_RATE);
+  const buffer = new AudioBuffer({ length, sampleRate: KIT_SAMPLE_RATE, numberOfChannels: 1 });
+  const data = buffer.getChannelData(0);
+  const rng = createRng(1);
+  let prevNoise = 0;
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    // Differenced white noise leans toward the top end, as hats and rims should
+    const white = rng() * 2 - 1;
+    const noise = white - prevNoise;
+    prevNoise = white;
+    data[i] = DRUM_SYNTHS[type](i / KIT_SAMPLE_RATE, param, noise);
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  // Normalize, with a 2ms fade-in so the start doesn't pop
+  const fade = Math.round(0.002 * KIT_SAMPLE_RATE);
+  for (let i = 0; i < length; i++) data[i] = (data[i] / peak) * 0.9 * Math.min(1, i / fade);
+  drumCache.set(key, buffer);
+  return buffer;
+}
+
+// Active kit plus any user samples, shared by all engines; null samples fall back to beeps
+class ClickKit {
+  constructor() {
+    this.kitId = 'beep';
+    this.custom = {};
+  }
+
+  setKit(kitId) {
+    this.kitId = kitId;
+  }
+
+  setSample(role, buffer) {
+    if (buffer) this.custom[role] = buffer;
+    else delete this.custom[role];
+  }
+
+  sample(role) {
+    if (this.custom[role]) return this.custom[role];
+    const kit = CLICK_KITS.find(k => k.id === this.kitId);
+    if (!kit || !kit.voices) return null;
+    const [type, param] = kit.voices[role];
+    return synthesizeDrum(type, param);
+  }
+}
+
+// Decode with a throwaway offline context; the AudioBuffer outlives it
+async function decodeSampleFile(file) {
+  const data = await file.arrayBuffer();
+  const ctx = new OfflineAudioContext(1, 1, KIT_SAMPLE_RATE);
+  return ctx.decodeAudioData(data);
+}
+
+function useClickKit() {
+  const [kit] = useState(() => new ClickKit());
+  const [kitId, setKitId] = useState('beep');
+  const [samples, setSamples] = useState({}); // role → file name
+  const [error, setError] = useState(null);
+
+  useEffect(() => { kit.setKit(kitId); }, [kit, kitId]);
+
+  const loadSample = useCallback(async (role, file) => {
+    try {
+      kit.setSample(role, await decodeSampleFile(file));
+      setSamples(prev => ({ ...prev, [role]: file.name }));
+      setError(null);
+    } catch {
+      setError(`Could not decode ${file.name}`);
+    }
+  }, [kit]);
+
+  const clearSample = useCallback((role) => {
+    kit.setSample(role, null);
+    setSamples(prev => {
+      const next = { ...prev };
+      delete next[role];
+      return next;
+    });
+  }, [kit]);
+
+  return { kit, kitId, setKitId, samples, loadSample, clearSample, error };
+}
+
+function playSample(audioCtx, time, buffer, level, gainNode) {
+  const source = audioCtx.createBufferSource();
+  const sampleGain = audioCtx.createGain();
+  source.buffer = buffer;
+  sampleGain.gain.value = level;
+  source.connect(sampleGain);
+  sampleGain.connect(gainNode);
+  source.start(time);
+}
+
+// ─── Drum pattern player ────────────────────────────────────────────────
+// 16 sixteenth steps over four beats, restarting each bar; every step is placed inside the
+// engine's current beat, so the pattern drifts with whatever clock is running.
+const DRUM_STEPS = 16;
+const STEPS_PER_BEAT = 4;
+const DRUM_VOICES = [
+  { id: 'kick', label: 'Kick', drum: ['kick', 50] },
+  { id: 'clap', label: 'Clap', drum: ['clap', 0.06] },
+  { id: 'closedHat', label: 'Closed hat', drum: ['hihat', 0.03] },
+  { id: 'openHat', label: 'Open hat', drum: ['hihat', 0.15] },
+];
+
+function stepRow(steps, velocity = 1) {
+  return Array.from({ length: DRUM_STEPS }, (_, i) => (steps.includes(i) ? velocity : 0));
+}
+
+const DRUM_PATTERNS = [
+  {
+    label: 'Four on the floor',
+    pattern: { kick: stepRow([0, 4, 8, 12]), clap: stepRow([4, 12]), closedHat: stepRow([]), openHat: stepRow([2, 6, 10, 14]) },
+  },
+  {
+    label: 'Deep house',
+    pattern: {
+      kick: stepRow([0, 4, 8, 12]),
+      clap: stepRow([4, 12]),
+      closedHat: stepRow([1, 3, 5, 7, 9, 11, 13, 15], 0.5),
+      openHat: stepRow([2, 6, 10, 14]),
+    },
+  },
+  {
+    label: 'Broken',
+    pattern: { kick: stepRow([0, 6, 10]), clap: stepRow([4, 12]), closedHat: stepRow([0, 2, 4, 6, 8, 10, 12, 14], 0.5), openHat: stepRow([7, 15]) },
+  },
+];
+
+// Sixteenth positions inside one beat (fractions of the beat), following the click grid so drums and
+// subdivision clicks land together: swung 8ths pull the 16ths with them.
+function drumStepPositions(groove, subdiv) {
+  if (subdiv === 4) return [0, ...grooveSteps(groove, 4).map(step => step.pos)];
+  if (subdiv === 2) {
+    const off = grooveSteps(groove, 2)[0].pos;
+    return [0, off / 2, off, (1 + off) / 2];
+  }
+  // Custom tables describe a different grid here, so only swing carries over
+  return [0, ...grooveSteps(groove.template === 'swing' ? groove : DEFAULT_GROOVE, 4).map(step => step.pos)];
+}
+
+class DrumMachine {
+  constructor() {
+    this.enabled = false;
+    this.level = 0.8;
+    this.pattern = DRUM_PATTERNS[0].pattern;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  setLevel(level) {
+    this.level = level;
+  }
+
+  setPattern(pattern) {
+    this.pattern = pattern;
+  }
+
+  // Called by an engine scheduler for each beat it schedules; barBeat is the beat's position in the bar
+  beat(audioCtx, beatTime, barBeat, ioi, subdiv, groove, gainNode) {
+    if (!this.enabled) return;
+    const positions = drumStepPositions(groove, subdiv);
+    const firstStep = (barBeat * STEPS_PER_BEAT) % DRUM_STEPS;
+    for (const voice of DRUM_VOICES) {
+      const row = this.pattern[voice.id];
+      positions.forEach((pos, k) => {
+        const velocity = row[firstStep + k];
+        if (velocity > 0) {
+          playSample(audioCtx, beatTime + pos * ioi, synthesizeDrum(...voice.drum), this.level * velocity, gainNode);
+        }
+      });
+    }
+  }
+}
+
+function useDrumMachine() {
+  const [drums] = useState(() => new DrumMachine());
+  const [enabled, setEnabled] = useState(false);
+  const [level, setLevel] = useState(0.8);
+  const [pattern, setPattern] = useState(DRUM_PATTERNS[0].pattern);
+
+  useEffect(() => { drums.setEnabled(enabled); }, [drums, enabled]);
+  useEffect(() => { drums.setLevel(level); }, [drums, level]);
+  useEffect(() => { drums.setPattern(pattern); }, [drums, pattern]);
+
+  return { drums, enabled, setEnabled, level, setLevel, pattern, setPattern };
+}
+
 // ─── Utility: schedule a click sound ────────────────────────────────────
-function scheduleClick(audioCtx, time, isDownbeat, gainNode) {
+// Pitch and level per accent; 'mute' beats make no sound.
+// With a kit, strong and medium beats use the downbeat sample, weak beats the beat sample.
+const CLICK_VOICES = {
+  strong: { freq: 880, gain: 0.8, refFreq: 1200, refGain: 0.5, role: 'downbeat', level: 1, refLevel: 0.8 },
+  medium: { freq: 660, gain: 0.7, refFreq: 1000, refGain: 0.45, role: 'downbeat', level: 0.6, refLevel: 0.65 },
+  weak: { freq: 440, gain: 0.8, refFreq: 800, refGain: 0.5, role: 'beat', level: 0.9, refLevel: 0.5 },
+};
+
+function scheduleClick(audioCtx, time, accent, gainNode, kit = null) {
+  const voice = CLICK_VOICES[accent];
+  if (!voice) return;
+  const sample = kit && kit.sample(voice.role);
+  if (sample) {
+    playSample(audioCtx, time, sample, voice.level, gainNode);
+    return;
+  }
   const osc = audioCtx.createOscillator();
   const clickGain = audioCtx.createGain();
-  osc.frequency.value = isDownbeat ? 880 : 440;
+  osc.frequency.value = voice.freq;
   osc.connect(clickGain);
   clickGain.connect(gainNode);
-  clickGain.gain.setValueAtTime(0.8, time);
+  clickGain.gain.setValueAtTime(voice.gain, time);
   clickGain.gain.exponentialRampToValueAtTime(0.001, time + 0.03);
   osc.start(time);
   osc.stop(time + 0.04);
 }
 
-function scheduleSubdivClick(audioCtx, time, gainNode) {
+function scheduleSubdivClick(audioCtx, time, gainNode, velocity = 1, kit = null) {
+  if (velocity <= 0) return;
+  const sample = kit && kit.sample('subdiv');
+  if (sample) {
+    playSample(audioCtx, time, sample, 0.5 * velocity, gainNode);
+    return;
+  }
   const osc = audioCtx.createOscillator();
   const clickGain = audioCtx.createGain();
   osc.frequency.value = 660;
   osc.connect(clickGain);
   clickGain.connect(gainNode);
-  clickGain.gain.setValueAtTime(0.35, time);
+  clickGain.gain.setValueAtTime(0.35 * velocity, time);
   clickGain.gain.exponentialRampToValueAtTime(0.001, time + 0.02);
   osc.start(time);
   osc.stop(time + 0.03);
 }
 
-function scheduleRefClick(audioCtx, time, isDownbeat, gainNode) {
+function scheduleRefClick(audioCtx, time, accent, gainNode, kit = null) {
+  const voice = CLICK_VOICES[accent];
+  if (!voice) return;
+  const sample = kit && kit.sample('ref');
+  if (sample) {
+    playSample(audioCtx, time, sample, voice.refLevel, gainNode);
+    return;
+  }
   const osc = audioCtx.createOscillator();
   const clickGain = audioCtx.createGain();
-  osc.frequency.value = isDownbeat ? 1200 : 800;
+  osc.frequency.value = voice.refFreq;
   osc.type = 'triangle';
   osc.connect(clickGain);
   clickGain.connect(gainNode);
-  clickGain.gain.setValueAtTime(0.5, time);
+  clickGain.gain.setValueAtTime(voice.refGain, time);
   clickGain.gain.exponentialRampToValueAtTime(0.001, time + 0.025);
   osc.start(time);
   osc.stop(time + 0.035);
 }
 
-// ─── Component: Beat Indicator ──────────────────────────────────────────
-function BeatIndicator({ currentBeat, beatsPerBar, accentColor }) {
-  return (
-    <div className="flex gap-2 justify-center my-2">
-      {Array.from({ length: beatsPerBar }, (_, i) => (
-        <div
-          key={i}
-          className="w-4 h-4 rounded-full transition-all duration-75"
-          style={{
-            backgroundColor: currentBeat === i ? accentColor : '#374151',
-            boxShadow: currentBeat === i ? `0 0 12px ${accentColor}` : 'none',
-            transform: currentBeat === i ? 'scale(1.4)' : 'scale(1)',
-          }}
-        />
-      ))}
-    </div>
-  );
+function subdivisionTimes(beatTime, subdivIOI, subdiv, groove = DEFAULT_GROOVE) {
+  return grooveSteps(groove, subdiv).map(step => beatTime + subdivIOI * step.pos);
 }
 
-// ─── Component: Transport ───────────────────────────────────────────────
-function Transport({ isPlaying, onToggle, bpm, onBpmChange, volume, onVolumeChange, accentColor, subdivision, onSubdivisionChange, refClick, onRefClickChange }) {
-  return (
-    <div className="flex flex-col gap-3 p-4 bg-gray-800 rounded-lg">
-      <div className="flex items-center gap-4">
-        <button
-          onClick={onToggle}
-          className="w-12 h-12 rounded-full flex items-center justify-center text-white font-bold text-lg border-2 transition-colors cursor-pointer"
-          style={{ borderColor: accentColor, backgroundColor: isPlaying ? accentColor : 'transparent' }}
-        >
-          {isPlaying ? '■' : '▶'}
-        </button>
+// Schedule one modulated beat and its grooved subdivisions; returns every click time
+function scheduleBeat(audioCtx, beatTime, accent, subdivIOI, subdiv, groove, gainNode, kit = null) {
+  scheduleClick(audioCtx, beatTime, accent, gainNode, kit);
+  const steps = grooveSteps(groove, subdiv);
+  const subTimes = steps.map(step => beatTime + subdivIOI * step.pos);
+  steps.forEach((step, i) => scheduleSubdivClick(audioCtx, subTimes[i], gainNode, step.velocity, kit));
+  return [beatTime, ...subTimes];
+}
 
-        <div className="flex-1">
-          <div className="flex items-center gap-2 mb-1">
-            <label className="text-xs text-gray-400 w-14">Tempo</label>
-            <input
-              type="range"
-              min="80"
-              max="180"
-              value={bpm}
-              onChange={e => onBpmChange(Number(e.target.value))}
-              className="flex-1 accent-current"
-              style={{ color: accentColor }}
-            />
-            <span className="text-sm font-mono w-16 text-right" style={{ color: accentColor }}>
-              {bpm} BPM
-            </span>
-          </div>
-          <div className="flex gap-1">
-            {TEMPO_PRESETS.map(p => (
-              <button
-                key={p.bpm}
-                onClick={() => onBpmChange(p.bpm)}
-                className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
-                style={{
-                  backgroundColor: bpm === p.bpm ? accentColor : '#374151',
-                  color: bpm === p.bpm ? '#111' : '#9CA3AF',
-                }}
-              >
-                {p.label}
-              </button>
-            ))}
-          </div>
-        </div>
+// ─── Beat clock: one AudioWorklet timebase under every engine ───────────
+// Beats come from the audio thread, so background-tab timer throttling can't stall or bunch them.
+// onBeat(track, index, time) arrives a lookahead early and must answer with pushIOI(track, ioi)
+// before that track moves on; onTick(time) fires every 25 ms of audio for work between beats.
+// onReady(startTime) fires once the clock runs; tracks added without a start time begin then.
+// Where the worklet can't load (no secure context, offline) the same tracks run on a page timer.
+// An error while starting stops the clock and goes to onError, or the page's error reporting.
+const CLOCK_START_DELAY = 0.05;
+const FALLBACK_INTERVAL = 25; // ms
+
+class BeatClock {
+  constructor(audioCtx, { onBeat, onTick = null, onReady = null, onError = null }) {
+    this.audioCtx = audioCtx;
+    this.onBeat = onBeat;
+    this.onTick = onTick;
+    this.onReady = onReady;
+    this.onError = onError;
+    this.node = null;
+    this.tracks = null; // timer fallback only
+    this.timer = null;
+    this.started = false;
+    this.stopped = false;
+    this.pending = [];
+    const load = audioCtx.audioWorklet
+      ? audioCtx.audioWorklet.addModule(`${import.meta.env.BASE_URL}clock-processor.js`)
+      : Promise.reject(new Error('AudioWorklet unavailable'));
+    load
+      .then(() => this.startWorklet(), () => this.startTimer())
+      .catch(err => this.fail(err));
+  }
 
-        <div className="flex items-center gap-2">
-          <label className="text-xs text-gray-400">Vol</label>
-          <input
-            type="range"
-            min="0"
-            max="100"
-            value={volume}
-            onChange={e => onVolumeChange(Number(e.target.value))}
-            className="w-20 accent-current"
-            style={{ color: accentColor }}
+  fail(err) {
+    this.stop();
+    if (this.onError) this.onError(err);
+    else globalThis.reportError?.(err);
+  }
+
+  get closed() {
+    return this.stopped || this.audioCtx.state === 'closed';
+  }
+
+  startWorklet() {
+    if (this.closed) return;
+    // Connected so the graph keeps pulling it; it only ever outputs silence
+    let node;
+    try {
+      node = new AudioWorkletNode(this.audioCtx, 'clock-processor', { numberOfInputs: 0, numberOfOutputs: 1 });
+    } catch {
+      this.startTimer();
+      return;
+    }
+    node.connect(this.audioCtx.destination);
+    node.port.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'beat') this.onBeat(msg.track, msg.index, msg.time);
+      else if (msg.type === 'tick' && this.onTick) this.onTick(msg.time);
+    };
+    node.port.postMessage({ type: 'options', lookahead: SCHEDULE_AHEAD });
+    this.node = node;
+    this.begin();
+  }
+
+  // The same bookkeeping as clock-processor.js, driven by setInterval
+  startTimer() {
+    if (this.closed) return;
+    this.tracks = new Map();
+    this.timer = setInterval(() => this.runTimer(), FALLBACK_INTERVAL);
+    this.begin();
+  }
+
+  runTimer() {
+    const now = this.audioCtx.currentTime;
+    for (const [name, track] of this.tracks) {
+      for (;;) {
+        if (track.waiting) {
+          if (track.iois.length === 0) break;
+          track.time += track.iois.shift();
+          track.waiting = false;
+        }
+        if (track.time >= now + SCHEDULE_AHEAD) break;
+        track.waiting = true;
+        this.onBeat(name, track.index++, track.time);
+      }
+    }
+    if (this.onTick) this.onTick(now);
+  }
+
+  // Start times are only fixed now, so a slow module load can't leave the first beats in the past
+  begin() {
+    this.started = true;
+    const startTime = this.audioCtx.currentTime + CLOCK_START_DELAY;
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(msg => this.post(msg.type === 'track' && msg.start === null ? { ...msg, start: startTime } : msg));
+    if (this.onReady) this.onReady(startTime);
+    if (this.tracks) this.runTimer();
+  }
+
+  post(msg) {
+    if (this.node) {
+      this.node.port.postMessage(msg);
+    } else if (this.tracks) {
+      if (msg.type === 'track') this.tracks.set(msg.track, { time: msg.start, index: 0, waiting: false, iois: [] });
+      else if (msg.type === 'ioi' && this.tracks.has(msg.track)) this.tracks.get(msg.track).iois.push(msg.ioi);
+    } else {
+      this.pending.push(msg);
+    }
+  }
+
+  // A track's first beat falls at startTime (default: when the clock starts); later ones follow the IOIs pushed for it
+  addTrack(track, startTime = null) {
+    const start = startTime ?? (this.started ? this.audioCtx.currentTime + CLOCK_START_DELAY : null);
+    this.post({ type: 'track', track, start });
+  }
+
+  pushIOI(track, ioi) {
+    this.post({ type: 'ioi', track, ioi });
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.tracks = null;
+    if (this.node) {
+      this.node.port.postMessage({ type: 'stop' });
+      this.node.port.onmessage = null;
+      this.node.disconnect();
+    }
+    this.node = null;
+  }
+}
+
+// UI changes that belong to a beat wait for the animation frame whose audio output has reached it
+class AudibleUpdates {
+  constructor() {
+    this.audioCtx = null;
+    this.queue = [];
+    this.frame = null;
+    this.flush = this.flush.bind(this);
+  }
+
+  start(audioCtx) {
+    this.stop();
+    this.audioCtx = audioCtx;
+  }
+
+  at(time, apply) {
+    if (!this.audioCtx) return;
+    this.queue.push({ time, apply });
+    if (this.frame === null) this.frame = requestAnimationFrame(this.flush);
+  }
+
+  flush(frameTime) {
+    this.frame = null;
+    const heard = performanceToContextTime(this.audioCtx, frameTime);
+    const due = this.queue.filter(u => u.time <= heard);
+    this.queue = this.queue.filter(u => u.time > heard);
+    due.forEach(u => u.apply());
+    if (this.queue.length > 0) this.frame = requestAnimationFrame(this.flush);
+  }
+
+  stop() {
+    if (this.frame !== null) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.queue = [];
+    this.audioCtx = null;
+  }
+}
+
+function useAudibleUpdates() {
+  const [updates] = useState(() => new AudibleUpdates());
+  useEffect(() => () => updates.stop(), [updates]);
+  return updates;
+}
+
+// ─── Ensemble voices: a quiet, panned click per Kuramoto oscillator ─────
+const VOICE_WAVES = ['sine', 'triangle', 'square'];
+const VOICE_GAIN = 0.25;
+const MAX_VOICES = 64;
+
+// Pitches climb over two octaves with the index; pans are scattered so neighbours don't share a side
+function ensembleVoice(index, count) {
+  const position = count > 1 ? index / (count - 1) : 0.5;
+  return {
+    freq: 500 * 2 ** (2 * position),
+    wave: VOICE_WAVES[index % VOICE_WAVES.length],
+    pan: (((index * 0.618034) % 1) * 2 - 1) * 0.9,
+  };
+}
+
+// Evenly spaced subset of `audible` oscillators out of `count`
+function audibleVoices(count, audible) {
+  const chosen = new Set();
+  for (let k = 0; k < Math.min(audible, count); k++) chosen.add(Math.floor((k * count) / audible));
+  return chosen;
+}
+
+function scheduleVoiceClick(audioCtx, time, voice, gainNode) {
+  const osc = audioCtx.createOscillator();
+  const clickGain = audioCtx.createGain();
+  const panner = audioCtx.createStereoPanner();
+  osc.type = voice.wave;
+  osc.frequency.value = voice.freq;
+  panner.pan.value = voice.pan;
+  osc.connect(clickGain);
+  clickGain.connect(panner);
+  panner.connect(gainNode);
+  clickGain.gain.setValueAtTime(VOICE_GAIN, time);
+  clickGain.gain.exponentialRampToValueAtTime(0.001, time + 0.025);
+  osc.start(time);
+  osc.stop(time + 0.03);
+}
+
+// ─── Offline Kuramoto runs ──────────────────────────────────────────────
+// Fresh-ensemble IOIs from a one-off worker, so large ensembles and long renders don't block the page.
+// options: { skip, maxBeats, duration } as in the worker's series run.
+function simulateKuramotoIOIs(settings, { skip = 0, maxBeats = Infinity, duration = Infinity }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./kuramoto.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      worker.terminate();
+      resolve(e.data.iois);
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'Simulation failed'));
+    };
+    worker.postMessage({ type: 'series', settings, skip, maxBeats, duration });
+  });
+}
+
+// ─── Long-range correlation analysis ───────────────────────────────────
+// Spectral slope: P(f) ∝ 1/f^β. DFA: F(n) ∝ n^α, with β = 2α − 1 for these processes.
+const ANALYSIS_MIN_LENGTH = 64;
+
+function linearFit(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+  }
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return { slope, intercept: my - slope * mx };
+}
+
+// In-place radix-2 FFT; re/im lengths must be a power of two
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+// Periodogram of the latest power-of-two stretch, averaged into log-spaced bins before the fit
+function spectralSlope(values) {
+  const n = 2 ** Math.floor(Math.log2(values.length));
+  const series = values.slice(-n);
+  const fit0 = linearFit(series.map((_, i) => i), series);
+  const re = series.map((v, i) => v - (fit0.intercept + fit0.slope * i));
+  const im = new Array(n).fill(0);
+  fft(re, im);
+
+  const bins = new Map();
+  for (let k = 1; k < n / 2; k++) {
+    const bin = Math.floor(Math.log10(k / n) * 10);
+    if (!bins.has(bin)) bins.set(bin, { f: 0, p: 0, count: 0 });
+    const b = bins.get(bin);
+    b.f += Math.log10(k / n);
+    b.p += re[k] ** 2 + im[k] ** 2;
+    b.count++;
+  }
+  const points = [...bins.values()].map(b => ({ x: b.f / b.count, y: Math.log10(b.p / b.count) }));
+  const fit = linearFit(points.map(p => p.x), points.map(p => p.y));
+  return { beta: -fit.slope, points, fit };
+}
+
+// Detrended fluctuation analysis over log-spaced window sizes from 4 to n/4
+function dfa(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const profile = [];
+  values.reduce((sum, v) => {
+    profile.push(sum + v - mean);
+    return sum + v - mean;
+  }, 0);
+
+  const sizes = [];
+  for (let size = 4; size <= values.length / 4; size = Math.ceil(size * 1.25)) sizes.push(size);
+  const points = sizes.map(size => {
+    let sq = 0;
+    let count = 0;
+    const xs = Array.from({ length: size }, (_, i) => i);
+    for (let start = 0; start + size <= profile.length; start += size) {
+      const window = profile.slice(start, start + size);
+      const { slope, intercept } = linearFit(xs, window);
+      window.forEach((v, i) => { sq += (v - (intercept + slope * i)) ** 2; });
+      count += size;
+    }
+    return { x: Math.log10(size), y: 0.5 * Math.log10(sq / count) };
+  });
+  const fit = linearFit(points.map(p => p.x), points.map(p => p.y));
+  return { alpha: fit.slope, points, fit };
+}
+
+function analyzeSeries(values) {
+  if (values.length < ANALYSIS_MIN_LENGTH) return null;
+  return { length: values.length, spectrum: spectralSlope(values), dfa: dfa(values) };
+}
+
+// Intervals between consecutive times, dropping gaps (missed taps) and doubles far from the median
+function intervalsOf(times) {
+  const intervals = times.slice(1).map((t, i) => t - times[i]);
+  if (intervals.length === 0) return intervals;
+  const sorted = [...intervals].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  return intervals.filter(ioi => ioi > median * 0.6 && ioi < median * 1.4);
+}
+
+function beatIntervals(log) {
+  if (!log) return [];
+  return log.beats.slice(1).map((beat, i) => beat.time - log.beats[i].time);
+}
+
+// ─── Gap training ───────────────────────────────────────────────────────
+// The click plays for clickBars, then goes silent for gapBars while the engine keeps running.
+// Taps in the silence are scored against the silent continuation: the engine's own beats
+// ('modulated') or the base tempo carried on from the last audible beat ('steady').
+const DEFAULT_GAP = { enabled: false, clickBars: 4, gapBars: 2, grid: 'modulated' };
+
+class GapTrainer {
+  constructor(settings) {
+    this.settings = settings;
+    this.gaps = [];     // { grid, bars: [[drift ms, ...], ...] } one per silent stretch
+    this.expected = []; // { time, gap, bar } recent silent beat positions
+    this.anchor = null; // last audible beat, for the steady grid
+    this.silent = false;
+  }
+
+  setSettings(settings) {
+    this.settings = settings;
+    if (!settings.enabled) this.silent = false;
+  }
+
+  // Whether the most recently scheduled beat was silent; the steady reference click follows it
+  isSilent() {
+    return this.silent;
+  }
+
+  // Called for every scheduled beat; returns the gap bar index, or -1 when the beat is audible
+  beat(beatTime, beatNum, beatsPerBar, steadyIOI) {
+    const { enabled, clickBars, gapBars, grid } = this.settings;
+    const bar = Math.floor(beatNum / beatsPerBar);
+    const cycle = clickBars + gapBars;
+    const gapBar = (bar % cycle) - clickBars;
+    this.silent = enabled && gapBar >= 0;
+    if (!this.silent) {
+      this.anchor = { time: beatTime, beatNum };
+      return -1;
+    }
+    const cycleIndex = Math.floor(bar / cycle);
+    if (this.gaps.length === 0 || this.gaps[this.gaps.length - 1].cycle !== cycleIndex) {
+      this.gaps.push({ cycle: cycleIndex, grid, bars: Array.from({ length: gapBars }, () => []) });
+    }
+    const expected = grid === 'steady' && this.anchor
+      ? this.anchor.time + (beatNum - this.anchor.beatNum) * steadyIOI
+      : beatTime;
+    this.expected.push({ time: expected, gap: this.gaps.length - 1, bar: gapBar });
+    if (this.expected.length > 32) this.expected.shift();
+    return gapBar;
+  }
+
+  // Scores a tap that sits closer to a silent beat than to nearestAudible; returns the drift in ms or null
+  tap(tapTime, nearestAudible) {
+    let nearest = null;
+    for (const e of this.expected) {
+      if (!nearest || Math.abs(tapTime - e.time) < Math.abs(tapTime - nearest.time)) nearest = e;
+    }
+    if (!nearest) return null;
+    if (nearestAudible !== undefined && Math.abs(tapTime - nearestAudible) < Math.abs(tapTime - nearest.time)) return null;
+    const drift = (tapTime - nearest.time) * 1000;
+    const bars = this.gaps[nearest.gap].bars;
+    if (bars[nearest.bar]) bars[nearest.bar].push(drift);
+    return drift;
+  }
+
+  // Mean drift per gap bar and cumulative absolute error, for the last gap and across all gaps
+  summary() {
+    const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+    const gaps = this.gaps.map(gap => {
+      const all = gap.bars.flat();
+      return {
+        grid: gap.grid,
+        barDrift: gap.bars.map(mean),
+        cumulative: all.reduce((sum, d) => sum + Math.abs(d), 0),
+        taps: all.length,
+      };
+    }).filter(gap => gap.taps > 0);
+    const barCount = Math.max(0, ...this.gaps.map(gap => gap.bars.length));
+    const byBar = Array.from({ length: barCount }, (_, i) => mean(this.gaps.flatMap(gap => gap.bars[i] || [])));
+    return { gaps, byBar };
+  }
+}
+
+// ─── Session Log (every beat of a session — not limited like the chart buffers) ──
+class SessionLog {
+  constructor(engine, params) {
+    this.engine = engine;
+    this.params = params;
+    this.startedAt = Date.now();
+    this.beats = [];        // { time, downbeat, subs: [times] } on the AudioContext clock
+    this.taps = [];         // { scheduled, tap, async } as built by the PLL
+    this.paramChanges = []; // { time, params } when settings move mid-session
+    this.order = [];        // { time, r } Kuramoto order parameter at each beat
+    this.endedAt = null;
+    this.saved = false;
+  }
+
+  addBeat(time, downbeat, subs) {
+    this.beats.push({ time, downbeat, subs });
+  }
+
+  addTap(entry) {
+    this.taps.push(entry);
+  }
+
+  noteParams(time, params) {
+    this.paramChanges.push({ time, params });
+  }
+
+  addOrder(time, r) {
+    this.order.push({ time, r });
+  }
+
+  finish() {
+    if (this.endedAt === null) this.endedAt = Date.now();
+  }
+
+  toRecord() {
+    return {
+      engine: this.engine,
+      params: this.params,
+      startedAt: this.startedAt,
+      duration: (this.endedAt ?? Date.now()) - this.startedAt,
+      beatCount: this.beats.length,
+      beats: this.beats,
+      taps: this.taps,
+      order: this.order,
+      paramChanges: this.paramChanges,
+    };
+  }
+
+  getIOIs() {
+    const iois = [];
+    for (let i = 1; i < this.beats.length; i++) iois.push(this.beats[i].time - this.beats[i - 1].time);
+    return iois;
+  }
+}
+
+// ─── Session History (IndexedDB) ────────────────────────────────────────
+// Summaries and the full beat/tap series live in separate stores so listing stays cheap
+const DB_NAME = 'modulating-metronome';
+const DB_VERSION = 1;
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        db.createObjectStore('sessionData', { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function saveSession(record) {
+  const db = await openDB();
+  const { beats, taps, order, paramChanges, ...summary } = record;
+  const tx = db.transaction(['sessions', 'sessionData'], 'readwrite');
+  let id = null;
+  const req = tx.objectStore('sessions').add(summary);
+  req.onsuccess = () => {
+    id = req.result;
+    tx.objectStore('sessionData').put({ id, beats, taps, order, paramChanges });
+  };
+  await txDone(tx);
+  return id;
+}
+
+async function listSessions() {
+  const db = await openDB();
+  const tx = db.transaction('sessions', 'readonly');
+  const req = tx.objectStore('sessions').getAll();
+  await txDone(tx);
+  return req.result.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+async function loadSession(id) {
+  const db = await openDB();
+  const tx = db.transaction(['sessions', 'sessionData'], 'readonly');
+  const summaryReq = tx.objectStore('sessions').get(id);
+  const dataReq = tx.objectStore('sessionData').get(id);
+  await txDone(tx);
+  return { ...summaryReq.result, ...dataReq.result };
+}
+
+async function deleteSession(id) {
+  const db = await openDB();
+  const tx = db.transaction(['sessions', 'sessionData'], 'readwrite');
+  tx.objectStore('sessions').delete(id);
+  tx.objectStore('sessionData').delete(id);
+  await txDone(tx);
+}
+
+// Store a finished session once; very short runs aren't worth keeping
+function saveSessionLog(log) {
+  if (!log) return;
+  log.finish();
+  if (log.saved || log.beats.length < 2) return;
+  log.saved = true;
+  saveSession(log.toRecord()).catch(() => { /* storage unavailable */ });
+}
+
+// ─── Session export / import (CSV, JSON, MIDI) ──────────────────────────
+// Exported times are seconds from the first beat; the AudioContext origin means nothing outside the app
+const SESSION_FORMAT = 'modulating-metronome-session';
+
+function sessionFileBase(record) {
+  return `${record.engine}-session-${new Date(record.startedAt).toISOString().slice(0, 19).replace(/:/g, '-')}`;
+}
+
+function sessionToJSON(record) {
+  const t0 = record.beats.length > 0 ? record.beats[0].time : 0;
+  const rel = t => +(t - t0).toFixed(6);
+  const iois = [];
+  for (let i = 1; i < record.beats.length; i++) iois.push(+(record.beats[i].time - record.beats[i - 1].time).toFixed(6));
+  const beatIndex = new Map(record.beats.map((b, i) => [b.time, i]));
+  return {
+    format: SESSION_FORMAT,
+    version: 1,
+    engine: record.engine,
+    params: record.params,
+    startedAt: new Date(record.startedAt).toISOString(),
+    durationMs: record.duration,
+    beats: record.beats.map(b => ({ time: rel(b.time), downbeat: b.downbeat, subs: b.subs.map(rel) })),
+    iois,
+    taps: record.taps.map(t => ({
+      beat: beatIndex.has(t.scheduled) ? beatIndex.get(t.scheduled) : null,
+      scheduled: rel(t.scheduled),
+      tap: rel(t.tap),
+      async: +t.async.toFixed(3),
+    })),
+    order: (record.order || []).map(o => ({ time: rel(o.time), r: +o.r.toFixed(5) })),
+    paramChanges: (record.paramChanges || []).map(c => ({ time: rel(c.time), params: c.params })),
+  };
+}
+
+// A missing list is empty; a present one needs every entry to carry the numbers the charts and exports read
+function hasNumbers(list, keys) {
+  return list === undefined || (Array.isArray(list) && list.every(e => e && keys.every(k => Number.isFinite(e[k]))));
+}
+
+function sessionFromJSON(json) {
+  if (!json || json.format !== SESSION_FORMAT || !Array.isArray(json.beats)
+    || !hasNumbers(json.beats, ['time'])
+    || !json.beats.every(b => b.subs === undefined || (Array.isArray(b.subs) && b.subs.every(Number.isFinite)))
+    || !hasNumbers(json.taps, ['scheduled', 'tap', 'async'])
+    || !hasNumbers(json.order, ['time', 'r'])) {
+    throw new Error('Not a metronome session file');
+  }
+  return {
+    engine: json.engine,
+    params: json.params || {},
+    startedAt: Date.parse(json.startedAt) || Date.now(),
+    duration: json.durationMs || 0,
+    beatCount: json.beats.length,
+    beats: json.beats.map(b => ({ time: b.time, downbeat: !!b.downbeat, subs: b.subs || [] })),
+    taps: (json.taps || []).map(t => ({ scheduled: t.scheduled, tap: t.tap, async: t.async })),
+    order: (json.order || []).map(o => ({ time: o.time, r: o.r })),
+    paramChanges: json.paramChanges || [],
+  };
+}
+
+// One CSV per series, each with the engine parameters as '#' comment lines (pandas: comment='#')
+function sessionToCSVs(record) {
+  const json = sessionToJSON(record);
+  const header = [
+    `# engine: ${json.engine}`,
+    `# started: ${json.startedAt}`,
+    `# duration_ms: ${json.durationMs}`,
+    ...Object.entries(json.params).map(([k, v]) => `# ${k}: ${v !== null && typeof v === 'object' ? JSON.stringify(v) : v}`),
+  ].join('\n');
+  const table = (columns, rows) => `${header}\n${columns.join(',')}\n${rows.map(r => r.join(',')).join('\n')}\n`;
+
+  const files = [{
+    suffix: 'beats',
+    text: table(
+      ['beat', 'time_s', 'ioi_s', 'downbeat', 'subdivision_times_s'],
+      json.beats.map((b, i) => [i, b.time, i > 0 ? json.iois[i - 1] : '', b.downbeat ? 1 : 0, b.subs.join(' ')]),
+    ),
+  }];
+  if (json.taps.length > 0) {
+    files.push({
+      suffix: 'taps',
+      text: table(
+        ['tap', 'matched_beat', 'scheduled_s', 'tap_s', 'async_ms'],
+        json.taps.map((t, i) => [i, t.beat ?? '', t.scheduled, t.tap, t.async]),
+      ),
+    });
+  }
+  if (json.order.length > 0) {
+    files.push({
+      suffix: 'order',
+      text: table(['time_s', 'r'], json.order.map(o => [o.time, o.r])),
+    });
+  }
+  return files;
+}
+
+function exportSession(record, format) {
+  const base = sessionFileBase(record);
+  if (format === 'json') {
+    downloadBlob(new Blob([JSON.stringify(sessionToJSON(record), null, 2)], { type: 'application/json' }), `${base}.json`);
+  } else if (format === 'csv') {
+    sessionToCSVs(record).forEach(f => downloadBlob(new Blob([f.text], { type: 'text/csv' }), `${base}-${f.suffix}.csv`));
+  } else if (format === 'midi') {
+    downloadBlob(buildTempoMapMidi(record.beats, record.params.meter), `${base}.mid`);
+  }
+}
+
+// ─── Standard MIDI File: tempo map + beat/subdivision note track ────────
+const SMF_PPQ = 480;
+const SMF_NOTES = { downbeat: 76, beat: 77, subdiv: 42 }; // GM percussion: hi/low wood block, closed hat
+
+function varLen(n) {
+  const bytes = [n & 0x7f];
+  while ((n >>= 7) > 0) bytes.unshift((n & 0x7f) | 0x80);
+  return bytes;
+}
+
+function smfChunk(type, data) {
+  const len = data.length;
+  return [...type].map(c => c.charCodeAt(0))
+    .concat([(len >>> 24) & 0xff, (len >>> 16) & 0xff, (len >>> 8) & 0xff, len & 0xff], data);
+}
+
+// events: [{ tick, data: [...] }] — sorted here, then delta-encoded
+function smfTrack(events) {
+  const sorted = [...events].sort((a, b) => a.tick - b.tick);
+  const data = [];
+  let lastTick = 0;
+  for (const e of sorted) {
+    data.push(...varLen(e.tick - lastTick), ...e.data);
+    lastTick = e.tick;
+  }
+  data.push(...varLen(0), 0xff, 0x2f, 0x00);
+  return smfChunk('MTrk', data);
+}
+
+function smfTrackName(name) {
+  const bytes = [...name].map(c => c.charCodeAt(0) & 0x7f);
+  return { tick: 0, data: [0xff, 0x03, ...varLen(bytes.length), ...bytes] };
+}
+
+// Each beat is one meter unit (quarter or eighth); a tempo change at every beat reproduces the exact beat times
+function buildTempoMapMidi(beats, meter = DEFAULT_METER) {
+  const ticksPerBeat = (SMF_PPQ * 4) / meter.unit;
+  const tempoEvents = [
+    smfTrackName('Tempo map'),
+    { tick: 0, data: [0xff, 0x58, 0x04, meter.beats, Math.log2(meter.unit), 24, 8] },
+  ];
+  const noteEvents = [smfTrackName('Beats')];
+  const noteLen = SMF_PPQ / 8;
+  const addNote = (tick, note, velocity) => {
+    noteEvents.push({ tick, data: [0x99, note, velocity] });
+    noteEvents.push({ tick: tick + noteLen, data: [0x89, note, 0] });
+  };
+
+  beats.forEach((beat, i) => {
+    const ioi = i < beats.length - 1
+      ? beats[i + 1].time - beat.time
+      : (i > 0 ? beat.time - beats[i - 1].time : 0.5);
+    const usPerQuarter = Math.max(1, Math.min(0xffffff, Math.round((ioi * 1e6 * meter.unit) / 4)));
+    const tick = i * ticksPerBeat;
+    tempoEvents.push({ tick, data: [0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff] });
+    addNote(tick, beat.downbeat ? SMF_NOTES.downbeat : SMF_NOTES.beat, beat.downbeat ? 110 : 90);
+    // Tempo is constant within a beat, so a subdivision's tick is its fraction of the IOI. Kuramoto
+    // spaces subdivisions by the IOI just played, so when it speeds up they can reach past the
+    // next beat; they're held to before its tick so the note track keeps the beats in order.
+    for (const sub of beat.subs) {
+      const subTick = Math.round(((sub - beat.time) / ioi) * ticksPerBeat);
+      addNote(tick + Math.min(ticksPerBeat - 1, subTick), SMF_NOTES.subdiv, 60);
+    }
+  });
+
+  const header = smfChunk('MThd', [0, 1, 0, 2, (SMF_PPQ >> 8) & 0xff, SMF_PPQ & 0xff]);
+  const bytes = header.concat(smfTrack(tempoEvents), smfTrack(noteEvents));
+  return new Blob([new Uint8Array(bytes)], { type: 'audio/midi' });
+}
+
+// ─── Offline render: click track → WAV ──────────────────────────────────
+const RENDER_SAMPLE_RATE = 44100;
+const RENDER_MAX_LENGTH = { bars: 1000, minutes: 30 }; // keeps the offline buffer to a few hundred MB
+
+function clampRenderLength(length, unit) {
+  return Math.max(1, Math.min(RENDER_MAX_LENGTH[unit], Math.round(Number(length)) || 1));
+}
+
+function checkRenderLength(length, unit) {
+  if (!(length >= 1 && length <= RENDER_MAX_LENGTH[unit])) {
+    throw new Error(`Length must be 1–${RENDER_MAX_LENGTH[unit]} ${unit}`);
+  }
+}
+const REF_RENDER_MODES = [
+  { value: 'off', label: 'No ref' },
+  { value: 'mix', label: 'Mixed in' },
+  { value: 'stereo', label: 'Ref → right ch' },
+  { value: 'file', label: 'Separate file' },
+];
+
+// Runs the live scheduling logic against an OfflineAudioContext (or writes the beats as a MIDI tempo map).
+// nextIOI() is a fresh engine instance; subdivIOI(prevIOI, nextIOI) mirrors the engine's subdivision spacing.
+async function renderClickTrack({ nextIOI, subdivIOI, bpm, subdivision, groove, meter, kit, drums, volume, length, unit, refMode, format }) {
+  checkRenderLength(length, unit);
+  const lengthSec = unit === 'minutes' ? length * 60 : Infinity;
+  const maxBeats = unit === 'bars' ? length * meter.beats : Infinity;
+
+  // Generate the beat times first so we know how long the buffer must be
+  const beats = [];
+  let t = 0;
+  let prevIOI = null;
+  while (beats.length < maxBeats && t < lengthSec) {
+    const ioi = nextIOI();
+    beats.push({ time: t, subdivIOI: subdivIOI(prevIOI, ioi) });
+    prevIOI = ioi;
+    t += ioi;
+  }
+
+  if (format === 'midi') {
+    const midiBeats = beats.map((beat, n) => ({
+      time: beat.time,
+      downbeat: n % meter.beats === 0,
+      subs: subdivisionTimes(beat.time, beat.subdivIOI, subdivision, groove),
+    }));
+    return [{ suffix: 'tempo-map', ext: 'mid', blob: buildTempoMapMidi(midiBeats, meter) }];
+  }
+
+  const duration = t + 0.1;
+
+  const ctx = new OfflineAudioContext(2, Math.ceil(duration * RENDER_SAMPLE_RATE), RENDER_SAMPLE_RATE);
+  const merger = ctx.createChannelMerger(2);
+  merger.connect(ctx.destination);
+  const gain = ctx.createGain();
+  gain.gain.value = volume / 100;
+  const refGain = ctx.createGain();
+  refGain.gain.value = volume / 100;
+  const split = refMode === 'stereo' || refMode === 'file';
+  gain.connect(merger, 0, 0);
+  if (!split) gain.connect(merger, 0, 1);
+  if (refMode !== 'off') {
+    refGain.connect(merger, 0, 1);
+    if (!split) refGain.connect(merger, 0, 0);
+  }
+
+  beats.forEach((beat, beatNum) => {
+    scheduleBeat(ctx, beat.time, beatAccent(meter, beatNum), beat.subdivIOI, subdivision, groove, gain, kit);
+    drums.beat(ctx, beat.time, beatNum % meter.beats, beat.subdivIOI, subdivision, groove, gain);
+  });
+  if (refMode !== 'off') {
+    const refIOI = 60.0 / bpm;
+    for (let n = 0; n * refIOI < t; n++) {
+      scheduleRefClick(ctx, n * refIOI, beatAccent(meter, n), refGain, kit);
+    }
+  }
+
+  const buffer = await ctx.startRendering();
+  if (refMode === 'file') {
+    return [
+      { suffix: 'click', ext: 'wav', blob: encodeWav([buffer.getChannelData(0)], buffer.sampleRate) },
+      { suffix: 'ref', ext: 'wav', blob: encodeWav([buffer.getChannelData(1)], buffer.sampleRate) },
+    ];
+  }
+  if (refMode === 'stereo') {
+    return [{ suffix: 'click+ref', ext: 'wav', blob: encodeWav([buffer.getChannelData(0), buffer.getChannelData(1)], buffer.sampleRate) }];
+  }
+  // Both channels are identical — write mono
+  return [{ suffix: 'click', ext: 'wav', blob: encodeWav([buffer.getChannelData(0)], buffer.sampleRate) }];
+}
+
+// 16-bit PCM WAV from per-channel Float32 data
+function encodeWav(channels, sampleRate) {
+  const numChannels = channels.length;
+  const numFrames = channels[0].length;
+  const dataSize = numFrames * numChannels * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeStr = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+  writeStr(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeStr(8, 'WAVE');
+  writeStr(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChannels * 2, true);
+  view.setUint16(32, numChannels * 2, true);
+  view.setUint16(34, 16, true);
+  writeStr(36, 'data');
+  view.setUint32(40, dataSize, true);
+  let offset = 44;
+  for (let i = 0; i < numFrames; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const v = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+      offset += 2;
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ─── Audio Input: onset detection from mic / line in ────────────────────
+const DEFAULT_AUDIO_INPUT = {
+  enabled: false,
+  deviceId: '',
+  sensitivity: 50,     // %
+  rejection: 4,        // threshold multiplier around our own clicks (1 = off)
+  trimMs: 0,           // extra latency the browser doesn't report
+  echoCancellation: true,
+};
+
+class AudioOnsetInput {
+  constructor(onOnset, onLevel) {
+    this.onOnset = onOnset;
+    this.onLevel = onLevel;
+    this.stream = null;
+    this.source = null;
+    this.node = null;
+    this.latency = 0;
+    this.trim = 0;
+    this.token = 0;
+  }
+
+  async start(audioCtx, settings) {
+    this.stop();
+    const token = ++this.token;
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: settings.deviceId ? { exact: settings.deviceId } : undefined,
+        echoCancellation: settings.echoCancellation,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+    await audioCtx.audioWorklet.addModule(`${import.meta.env.BASE_URL}onset-processor.js`);
+    if (token !== this.token || audioCtx.state === 'closed') {
+      stream.getTracks().forEach(t => t.stop());
+      return;
+    }
+    this.stream = stream;
+    this.source = audioCtx.createMediaStreamSource(stream);
+    this.node = new AudioWorkletNode(audioCtx, 'onset-processor', { numberOfInputs: 1, numberOfOutputs: 0 });
+    this.node.port.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'onset') this.onOnset(msg.time - this.latency - this.trim);
+      else if (msg.type === 'level') this.onLevel(msg);
+    };
+    this.source.connect(this.node);
+
+    // Round trip: click leaves the speakers late, the played note reaches us late
+    const trackLatency = stream.getAudioTracks()[0]?.getSettings().latency || 0;
+    this.latency = trackLatency + (audioCtx.outputLatency || audioCtx.baseLatency || 0);
+    this.setOptions(settings);
+  }
+
+  setOptions({ sensitivity, rejection, trimMs }) {
+    this.trim = trimMs / 1000;
+    if (this.node) this.node.port.postMessage({ type: 'options', sensitivity: sensitivity / 100, rejection });
+  }
+
+  // Tell the detector when one of our clicks will arrive back at the input
+  markClick(time) {
+    if (this.node) this.node.port.postMessage({ type: 'click', time: time + this.latency + this.trim });
+  }
+
+  stop() {
+    this.token++;
+    if (this.source) this.source.disconnect();
+    if (this.node) {
+      this.node.port.postMessage({ type: 'stop' });
+      this.node.port.onmessage = null;
+      this.node.disconnect();
+    }
+    if (this.stream) this.stream.getTracks().forEach(t => t.stop());
+    this.stream = null;
+    this.source = null;
+    this.node = null;
+  }
+}
+
+// Runs the detector while playing and the input is enabled; onsets arrive on the AudioContext clock
+function useAudioOnsetInput(audioCtxRef, isPlaying, onOnset) {
+  const [settings, setSettings] = useState(DEFAULT_AUDIO_INPUT);
+  const [level, setLevel] = useState({ peak: 0, threshold: 0 });
+  const [error, setError] = useState(null);
+  const [devices, setDevices] = useState([]);
+  const inputRef = useRef(null);
+  const settingsRef = useRef(settings);
+  const onOnsetRef = useRef(onOnset);
+  useEffect(() => { onOnsetRef.current = onOnset; }, [onOnset]);
+
+  const refreshDevices = useCallback(() => {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+    navigator.mediaDevices.enumerateDevices()
+      .then(list => setDevices(list.filter(d => d.kind === 'audioinput')))
+      .catch(() => {});
+  }, []);
+
+  const { enabled, deviceId, echoCancellation } = settings;
+  useEffect(() => {
+    const ctx = audioCtxRef.current;
+    if (!isPlaying || !enabled || !ctx) return;
+    const input = new AudioOnsetInput(t => onOnsetRef.current(t), setLevel);
+    inputRef.current = input;
+    input.start(ctx, { ...settingsRef.current, deviceId, echoCancellation })
+      .then(() => { setError(null); refreshDevices(); })
+      .catch(err => setError(err.message || 'Audio input unavailable'));
+    return () => {
+      input.stop();
+      inputRef.current = null;
+      setLevel({ peak: 0, threshold: 0 });
+    };
+  }, [audioCtxRef, isPlaying, enabled, deviceId, echoCancellation, refreshDevices]);
+
+  useEffect(() => {
+    settingsRef.current = settings;
+    if (inputRef.current) inputRef.current.setOptions(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    refreshDevices();
+    navigator.mediaDevices?.addEventListener?.('devicechange', refreshDevices);
+    return () => navigator.mediaDevices?.removeEventListener?.('devicechange', refreshDevices);
+  }, [refreshDevices]);
+
+  const markClick = useCallback((time) => {
+    if (inputRef.current) inputRef.current.markClick(time);
+  }, []);
+
+  return { settings, setSettings, level, error, devices, markClick };
+}
+
+// ─── MIDI Input: note-on events as onsets ───────────────────────────────
+let midiAccessPromise = null;
+function getMidiAccess() {
+  if (!navigator.requestMIDIAccess) return Promise.reject(new Error('Web MIDI not supported in this browser'));
+  if (!midiAccessPromise) {
+    midiAccessPromise = navigator.requestMIDIAccess().catch(err => {
+      midiAccessPromise = null;
+      throw err;
+    });
+  }
+  return midiAccessPromise;
+}
+
+const DEFAULT_MIDI_INPUT = {
+  enabled: false,
+  deviceId: '',   // '' = all inputs
+  notes: '',      // e.g. "36, 38, 40-45"; '' = any note
+  channel: 0,     // 1–16; 0 = any channel
+  minVelocity: 1,
+};
+
+// "36, 38, 40-45" → { notes: Set of note numbers }; empty text → notes null (accept all).
+// Anything unreadable is an error rather than a silently dropped filter, and lets no note through.
+function parseNoteFilter(text) {
+  if (text.trim() === '') return { notes: null, error: null };
+  const notes = new Set();
+  for (const part of text.split(',')) {
+    const m = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!m) return { notes, error: `Can't read "${part.trim()}" — use note numbers like 36, 40-45` };
+    const lo = Number(m[1]);
+    const hi = m[2] !== undefined ? Number(m[2]) : lo;
+    for (let n = Math.max(0, lo); n <= Math.min(127, hi); n++) notes.add(n);
+  }
+  if (notes.size === 0) return { notes, error: 'No notes between 0 and 127' };
+  return { notes, error: null };
+}
+
+// MIDI events are stamped on the performance.now() clock; map them onto the AudioContext clock
+function performanceToContextTime(audioCtx, perfTime) {
+  if (audioCtx.getOutputTimestamp) {
+    const { contextTime, performanceTime } = audioCtx.getOutputTimestamp();
+    if (performanceTime > 0) return contextTime + (perfTime - performanceTime) / 1000;
+  }
+  return audioCtx.currentTime - (performance.now() - perfTime) / 1000;
+}
+
+function useMidiOnsetInput(audioCtxRef, isPlaying, onOnset) {
+  const [settings, setSettings] = useState(DEFAULT_MIDI_INPUT);
+  const [devices, setDevices] = useState([]);
+  const [lastNote, setLastNote] = useState(null); // { note, channel, velocity, accepted }
+  const [error, setError] = useState(null);
+  const [learning, setLearning] = useState(false);
+  const settingsRef = useRef(settings);
+  const learningRef = useRef(false);
+  const isPlayingRef = useRef(isPlaying);
+  const onOnsetRef = useRef(onOnset);
+  useEffect(() => { settingsRef.current = settings; }, [settings]);
+  useEffect(() => { learningRef.current = learning; }, [learning]);
+  useEffect(() => { isPlayingRef.current = isPlaying; }, [isPlaying]);
+  useEffect(() => { onOnsetRef.current = onOnset; }, [onOnset]);
+
+  const { enabled, deviceId } = settings;
+  useEffect(() => {
+    if (!enabled) return;
+    let access = null;
+    let cancelled = false;
+
+    const handleMessage = (e) => {
+      const [status, note, velocity] = e.data;
+      // Note-on with velocity 0 is a note-off
+      if ((status & 0xf0) !== 0x90 || velocity === 0) return;
+      const channel = (status & 0x0f) + 1;
+      if (learningRef.current) {
+        setSettings(prev => ({ ...prev, notes: String(note) }));
+        setLearning(false);
+      }
+      const s = settingsRef.current;
+      const noteFilter = parseNoteFilter(s.notes);
+      const accepted = (s.channel === 0 || s.channel === channel)
+        && (!noteFilter.notes || (!noteFilter.error && noteFilter.notes.has(note)))
+        && velocity >= s.minVelocity;
+      setLastNote({ note, channel, velocity, accepted });
+      const ctx = audioCtxRef.current;
+      if (!accepted || !ctx || !isPlayingRef.current) return;
+      onOnsetRef.current(performanceToContextTime(ctx, e.timeStamp));
+    };
+
+    const attach = () => {
+      const inputs = [...access.inputs.values()];
+      setDevices(inputs.map(i => ({ id: i.id, name: i.name })));
+      for (const input of inputs) {
+        input.onmidimessage = (!deviceId || input.id === deviceId) ? handleMessage : null;
+      }
+    };
+
+    getMidiAccess()
+      .then(a => {
+        if (cancelled) return;
+        access = a;
+        setError(null);
+        attach();
+        // Virtual and loopback ports can appear after we start
+        access.onstatechange = attach;
+      })
+      .catch(err => { if (!cancelled) setError(err.message || 'MIDI access denied'); });
+
+    return () => {
+      cancelled = true;
+      if (access) {
+        access.onstatechange = null;
+        for (const input of access.inputs.values()) input.onmidimessage = null;
+      }
+    };
+  }, [audioCtxRef, enabled, deviceId]);
+
+  return { settings, setSettings, devices, lastNote, error, learning, setLearning };
+}
+
+// ─── Keyboard Input: space bar as a tap ─────────────────────────────────
+function useKeyTap(audioCtxRef, isPlaying, onOnset) {
+  const onOnsetRef = useRef(onOnset);
+  useEffect(() => { onOnsetRef.current = onOnset; }, [onOnset]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const isTextField = target => target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT';
+    // Keyup too, so a focused button isn't clicked by the same key press
+    const handleKey = (e) => {
+      if (e.code !== 'Space' || isTextField(e.target)) return;
+      e.preventDefault();
+      const ctx = audioCtxRef.current;
+      if (e.type === 'keydown' && !e.repeat && ctx) onOnsetRef.current(performanceToContextTime(ctx, e.timeStamp));
+    };
+    window.addEventListener('keydown', handleKey);
+    window.addEventListener('keyup', handleKey);
+    return () => {
+      window.removeEventListener('keydown', handleKey);
+      window.removeEventListener('keyup', handleKey);
+    };
+  }, [audioCtxRef, isPlaying]);
+}
+
+// ─── MIDI Clock Output (24 PPQN, follows the modulated beat) ────────────
+const MIDI_CLOCK = 0xf8;
+const MIDI_START = 0xfa;
+const MIDI_STOP = 0xfc;
+const MIDI_PPQN = 24;
+
+function contextToPerformanceTime(audioCtx, ctxTime) {
+  if (audioCtx.getOutputTimestamp) {
+    const { contextTime, performanceTime } = audioCtx.getOutputTimestamp();
+    if (performanceTime > 0) return performanceTime + (ctxTime - contextTime) * 1000;
+  }
+  return performance.now() + (ctxTime - audioCtx.currentTime) * 1000;
+}
+
+class MidiClockOutput {
+  constructor() {
+    this.output = null;
+    this.enabled = false;
+    this.offsetMs = 0;
+    this.running = false;
+  }
+
+  setOffset(ms) {
+    this.offsetMs = ms;
+  }
+
+  setOutput(output) {
+    if (output === this.output) return;
+    this.stop();
+    this.output = output;
+  }
+
+  setEnabled(enabled) {
+    if (!enabled) this.stop();
+    this.enabled = enabled;
+  }
+
+  send(bytes, ctxTime, audioCtx) {
+    const at = contextToPerformanceTime(audioCtx, ctxTime) + this.offsetMs;
+    this.output.send(bytes, Math.max(performance.now(), at));
+  }
+
+  // Spread 24 clock ticks across this beat's IOI so slaves follow the drift within the beat
+  beat(audioCtx, beatTime, ioi) {
+    if (!this.enabled || !this.output) {
+      if (this.running) this.stop();
+      return;
+    }
+    if (!this.running) {
+      this.send([MIDI_START], beatTime - 0.001, audioCtx);
+      this.running = true;
+    }
+    for (let i = 0; i < MIDI_PPQN; i++) {
+      this.send([MIDI_CLOCK], beatTime + (ioi * i) / MIDI_PPQN, audioCtx);
+    }
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    if (!this.output) return;
+    // Drop ticks already queued for the future, then stop immediately
+    if (this.output.clear) this.output.clear();
+    this.output.send([MIDI_STOP]);
+  }
+}
+
+const DEFAULT_MIDI_CLOCK = { enabled: false, deviceId: '', offsetMs: 0 };
+
+function useMidiClockOutput() {
+  const [clock] = useState(() => new MidiClockOutput());
+  const [settings, setSettings] = useState(DEFAULT_MIDI_CLOCK);
+  const [devices, setDevices] = useState([]);
+  const [error, setError] = useState(null);
+
+  const { enabled, deviceId, offsetMs } = settings;
+  useEffect(() => { clock.setOffset(offsetMs); }, [clock, offsetMs]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let access = null;
+    let cancelled = false;
+
+    const attach = () => {
+      const outputs = [...access.outputs.values()];
+      setDevices(outputs.map(o => ({ id: o.id, name: o.name })));
+      clock.setOutput(outputs.find(o => o.id === deviceId) || (!deviceId && outputs[0]) || null);
+      clock.setEnabled(true);
+    };
+
+    getMidiAccess()
+      .then(a => {
+        if (cancelled) return;
+        access = a;
+        setError(null);
+        attach();
+        access.onstatechange = attach;
+      })
+      .catch(err => { if (!cancelled) setError(err.message || 'MIDI access denied'); });
+
+    return () => {
+      cancelled = true;
+      if (access) access.onstatechange = null;
+      clock.setEnabled(false);
+      clock.setOutput(null);
+    };
+  }, [clock, enabled, deviceId]);
+
+  return { clock, settings, setSettings, devices, error };
+}
+
+// ─── Component: Sound Kit Panel ─────────────────────────────────────────
+function SoundKitPanel({ clickKit, accentColor }) {
+  const { kit, kitId, setKitId, samples, loadSample, clearSample, error } = clickKit;
+
+  const preview = (role) => {
+    const sample = kit.sample(role);
+    if (!sample) return;
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    playSample(ctx, ctx.currentTime + 0.02, sample, 0.8, ctx.destination);
+    setTimeout(() => ctx.close(), (sample.duration + 0.2) * 1000);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="text-xs text-gray-400">Click Sound</div>
+      <div className="flex flex-wrap gap-1">
+        {CLICK_KITS.map(k => (
+          <button
+            key={k.id}
+            onClick={() => setKitId(k.id)}
+            className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
+            style={{
+              backgroundColor: kitId === k.id ? accentColor : '#374151',
+              color: kitId === k.id ? '#111' : '#9CA3AF',
+            }}
+          >
+            {k.label}
+          </button>
+        ))}
+      </div>
+      <div className="space-y-1">
+        {KIT_ROLES.map(role => (
+          <div key={role.id} className="flex items-center gap-2 text-xs">
+            <span className="w-20 shrink-0 text-gray-400">{role.label}</span>
+            <span className="flex-1 truncate" style={{ color: samples[role.id] ? accentColor : '#6B7280' }}>
+              {samples[role.id] || (kitId === 'beep' ? 'Oscillator beep' : 'Kit sample')}
+            </span>
+            {(samples[role.id] || kitId !== 'beep') && (
+              <button onClick={() => preview(role.id)} className="px-2 py-0.5 rounded cursor-pointer bg-gray-700 text-gray-300" title="Preview">
+                ▶
+              </button>
+            )}
+            <label className="px-2 py-0.5 rounded cursor-pointer bg-gray-700 text-gray-300">
+              Load…
+              <input
+                type="file"
+                accept="audio/wav,audio/mpeg,.wav,.mp3"
+                className="hidden"
+                onChange={e => {
+                  if (e.target.files[0]) loadSample(role.id, e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+            {samples[role.id] && (
+              <button onClick={() => clearSample(role.id)} className="px-2 py-0.5 rounded cursor-pointer bg-gray-700 text-gray-300" title="Back to kit sound">
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      {error && <div className="text-xs text-red-400">{error}</div>}
+    </div>
+  );
+}
+
+// ─── Component: Drum Pattern Panel ──────────────────────────────────────
+function DrumPanel({ drumMachine, accentColor }) {
+  const { enabled, setEnabled, level, setLevel, pattern, setPattern } = drumMachine;
+
+  // off → full → soft → off
+  const cycleStep = (voiceId, step) => {
+    const row = [...pattern[voiceId]];
+    row[step] = row[step] === 0 ? 1 : row[step] === 1 ? 0.5 : 0;
+    setPattern({ ...pattern, [voiceId]: row });
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-xs text-gray-400">Drum Pattern</div>
+        <button
+          onClick={() => setEnabled(!enabled)}
+          className="px-3 py-1 text-xs rounded cursor-pointer transition-colors"
+          style={{
+            backgroundColor: enabled ? accentColor : '#374151',
+            color: enabled ? '#111' : '#9CA3AF',
+          }}
+        >
+          🥁 Play drums
+        </button>
+      </div>
+
+      {enabled && (
+        <>
+          <div className="flex flex-wrap gap-1">
+            {DRUM_PATTERNS.map(p => (
+              <button
+                key={p.label}
+                onClick={() => setPattern(p.pattern)}
+                className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
+                style={{
+                  backgroundColor: pattern === p.pattern ? accentColor : '#374151',
+                  color: pattern === p.pattern ? '#111' : '#9CA3AF',
+                }}
+              >
+                {p.label}
+              </button>
+            ))}
+          </div>
+          <div className="space-y-1">
+            {DRUM_VOICES.map(voice => (
+              <div key={voice.id} className="flex items-center gap-2">
+                <span className="text-xs text-gray-400 w-20 shrink-0">{voice.label}</span>
+                <div className="flex gap-0.5 flex-1">
+                  {pattern[voice.id].map((velocity, step) => (
+                    <button
+                      key={step}
+                      onClick={() => cycleStep(voice.id, step)}
+                      className="flex-1 h-5 rounded-sm cursor-pointer"
+                      style={{
+                        marginLeft: step > 0 && step % STEPS_PER_BEAT === 0 ? '0.25rem' : 0,
+                        backgroundColor: velocity > 0 ? accentColor : '#374151',
+                        opacity: velocity > 0 ? 0.35 + 0.65 * velocity : 1,
+                      }}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+          <Slider
+            label="Drum level"
+            min={0} max={1} step={0.05}
+            value={level}
+            onChange={setLevel}
+            display={`${Math.round(level * 100)}%`}
+            accentColor={accentColor}
+          />
+          <div className="text-xs text-gray-500">
+            16ths follow the running engine's beats and the groove; the pattern restarts each bar
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Component: MIDI Clock Panel ────────────────────────────────────────
+function MidiClockPanel({ midiClock, accentColor }) {
+  const { settings, setSettings, devices, error } = midiClock;
+  const set = (patch) => setSettings(prev => ({ ...prev, ...patch }));
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-xs text-gray-400">MIDI Clock Out</div>
+        <button
+          onClick={() => set({ enabled: !settings.enabled })}
+          className="px-3 py-1 text-xs rounded cursor-pointer transition-colors"
+          style={{
+            backgroundColor: settings.enabled ? accentColor : '#374151',
+            color: settings.enabled ? '#111' : '#9CA3AF',
+          }}
+        >
+          ⏱ Send clock
+        </button>
+      </div>
+
+      {settings.enabled && (
+        <>
+          <select
+            value={settings.deviceId}
+            onChange={e => set({ deviceId: e.target.value })}
+            className="w-full bg-gray-700 text-xs text-gray-300 rounded px-2 py-1"
+          >
+            <option value="">First available output</option>
+            {devices.map(d => (
+              <option key={d.id} value={d.id}>{d.name}</option>
+            ))}
+          </select>
+          <Slider
+            label="Clock offset"
+            min={-100} max={100} step={1}
+            value={settings.offsetMs}
+            onChange={v => set({ offsetMs: v })}
+            display={`${settings.offsetMs}ms`}
+            accentColor={accentColor}
+          />
+          <div className="text-xs text-gray-500">
+            24 PPQN with Start/Stop, spread across each modulated beat
+          </div>
+          {error && <div className="text-xs text-red-400">{error}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Component: MIDI Input Panel ────────────────────────────────────────
+function MidiInputPanel({ input, accentColor }) {
+  const { settings, setSettings, devices, lastNote, error, learning, setLearning } = input;
+  const set = (patch) => setSettings(prev => ({ ...prev, ...patch }));
+  const noteError = parseNoteFilter(settings.notes).error;
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-xs text-gray-400">MIDI Input</div>
+        <button
+          onClick={() => set({ enabled: !settings.enabled })}
+          className="px-3 py-1 text-xs rounded cursor-pointer transition-colors"
+          style={{
+            backgroundColor: settings.enabled ? accentColor : '#374151',
+            color: settings.enabled ? '#111' : '#9CA3AF',
+          }}
+        >
+          🎹 MIDI
+        </button>
+      </div>
+
+      {settings.enabled && (
+        <>
+          <select
+            value={settings.deviceId}
+            onChange={e => set({ deviceId: e.target.value })}
+            className="w-full bg-gray-700 text-xs text-gray-300 rounded px-2 py-1"
+          >
+            <option value="">All inputs</option>
+            {devices.map(d => (
+              <option key={d.id} value={d.id}>{d.name}</option>
+            ))}
+          </select>
+
+          <div className="flex items-center gap-2">
+            <label className="text-xs text-gray-400 w-24 shrink-0">Notes</label>
+            <input
+              type="text"
+              value={settings.notes}
+              onChange={e => set({ notes: e.target.value })}
+              placeholder="Any (e.g. 36, 38, 40-45)"
+              className="flex-1 bg-gray-700 text-xs text-gray-300 rounded px-2 py-1"
+            />
+            <button
+              onClick={() => setLearning(!learning)}
+              className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
+              style={{
+                backgroundColor: learning ? accentColor : '#374151',
+                color: learning ? '#111' : '#9CA3AF',
+              }}
+            >
+              Learn
+            </button>
+          </div>
+          {noteError && <div className="text-xs text-red-400">{noteError} · no notes pass</div>}
+          <div className="flex items-center gap-2">
+            <label className="text-xs text-gray-400 w-24 shrink-0">Channel</label>
+            <select
+              value={settings.channel}
+              onChange={e => set({ channel: Number(e.target.value) })}
+              className="flex-1 bg-gray-700 text-xs text-gray-300 rounded px-2 py-1"
+            >
+              <option value={0}>Any</option>
+              {Array.from({ length: 16 }, (_, i) => (
+                <option key={i + 1} value={i + 1}>{i + 1}</option>
+              ))}
+            </select>
+          </div>
+          <Slider
+            label="Min velocity"
+            min={1} max={127} step={1}
+            value={settings.minVelocity}
+            onChange={v => set({ minVelocity: v })}
+            display={`${settings.minVelocity}`}
+            accentColor={accentColor}
+          />
+          <div className="text-xs font-mono text-gray-500">
+            {lastNote
+              ? <>Last: note {lastNote.note} · ch {lastNote.channel} · vel {lastNote.velocity} {lastNote.accepted ? '✓' : '✗ filtered'}</>
+              : devices.length === 0 ? 'No MIDI inputs found' : 'Waiting for notes…'}
+          </div>
+          {error && <div className="text-xs text-red-400">{error}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Component: Audio Input Panel ───────────────────────────────────────
+function AudioInputPanel({ input, accentColor }) {
+  const { settings, setSettings, level, error, devices } = input;
+  const set = (patch) => setSettings(prev => ({ ...prev, ...patch }));
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-xs text-gray-400">Audio Input</div>
+        <button
+          onClick={() => set({ enabled: !settings.enabled })}
+          className="px-3 py-1 text-xs rounded cursor-pointer transition-colors"
+          style={{
+            backgroundColor: settings.enabled ? accentColor : '#374151',
+            color: settings.enabled ? '#111' : '#9CA3AF',
+          }}
+        >
+          🎤 Mic / Line in
+        </button>
+      </div>
+
+      {settings.enabled && (
+        <>
+          <select
+            value={settings.deviceId}
+            onChange={e => set({ deviceId: e.target.value })}
+            className="w-full bg-gray-700 text-xs text-gray-300 rounded px-2 py-1"
+          >
+            <option value="">Default input</option>
+            {devices.map((d, i) => (
+              <option key={d.deviceId || i} value={d.deviceId}>{d.label || `Input ${i + 1}`}</option>
+            ))}
+          </select>
+
+          {/* Input level with onset threshold marker */}
+          <div className="relative h-2 bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className="h-full rounded-full transition-all duration-75"
+              style={{ width: `${Math.min(100, level.peak * 100)}%`, backgroundColor: accentColor }}
+            />
+            <div
+              className="absolute top-0 h-full w-px bg-white"
+              style={{ left: `${Math.min(100, level.threshold * 100)}%` }}
+            />
+          </div>
+
+          <Slider
+            label="Sensitivity"
+            min={0} max={100} step={1}
+            value={settings.sensitivity}
+            onChange={v => set({ sensitivity: v })}
+            display={`${settings.sensitivity}%`}
+            accentColor={accentColor}
+          />
+          <Slider
+            label="Click reject"
+            min={1} max={20} step={0.5}
+            value={settings.rejection}
+            onChange={v => set({ rejection: v })}
+            display={settings.rejection > 1 ? `${settings.rejection}×` : 'Off'}
+            accentColor={accentColor}
+          />
+          <Slider
+            label="Latency trim"
+            min={0} max={150} step={1}
+            value={settings.trimMs}
+            onChange={v => set({ trimMs: v })}
+            display={`${settings.trimMs}ms`}
+            accentColor={accentColor}
+          />
+          <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.echoCancellation}
+              onChange={e => set({ echoCancellation: e.target.checked })}
+            />
+            Cancel metronome echo (turn off for line/DI input)
+          </label>
+          {error && <div className="text-xs text-red-400">{error}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Component: Beat Indicator ──────────────────────────────────────────
+const ACCENT_DOT_SIZE = { strong: 'w-5 h-5', medium: 'w-4 h-4', weak: 'w-3 h-3', mute: 'w-3 h-3' };
+
+function BeatIndicator({ currentBeat, beatsPerBar, accentColor, accents, grouping }) {
+  // Extra gap before each group start so 2+2+3 reads as such
+  const groupStarts = new Set();
+  (grouping || []).reduce((pos, size) => { groupStarts.add(pos); return pos + size; }, 0);
+  return (
+    <div className="flex gap-2 justify-center items-center my-2">
+      {Array.from({ length: beatsPerBar }, (_, i) => {
+        const accent = accents ? accents[i] : (i === 0 ? 'strong' : 'weak');
+        return (
+          <div
+            key={i}
+            className={`${ACCENT_DOT_SIZE[accent]} rounded-full transition-all duration-75`}
+            style={{
+              marginLeft: i > 0 && groupStarts.has(i) ? '0.5rem' : 0,
+              backgroundColor: currentBeat === i ? accentColor : accent === 'mute' ? 'transparent' : '#374151',
+              border: accent === 'mute' ? '1px solid #4b5563' : 'none',
+              boxShadow: currentBeat === i ? `0 0 12px ${accentColor}` : 'none',
+              transform: currentBeat === i ? 'scale(1.4)' : 'scale(1)',
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
+
+// ─── Component: Meter Editor ────────────────────────────────────────────
+function MeterEditor({ meter, onChange, accentColor }) {
+  const sig = TIME_SIGNATURES.find(t => t.label === meter.label);
+  const cycleAccent = (i) => {
+    const accents = [...meter.accents];
+    accents[i] = ACCENT_CYCLE[(ACCENT_CYCLE.indexOf(accents[i]) + 1) % ACCENT_CYCLE.length];
+    onChange({ ...meter, accents });
+  };
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-4">
+      <select
+        value={meter.label}
+        onChange={e => onChange(makeMeter(e.target.value))}
+        className="bg-gray-800 text-xs text-gray-300 rounded px-2 py-1"
+      >
+        {TIME_SIGNATURES.map(t => <option key={t.label} value={t.label}>{t.label}</option>)}
+      </select>
+      {sig.groupings.length > 1 && (
+        <select
+          value={meter.grouping.join('+')}
+          onChange={e => onChange(makeMeter(meter.label, e.target.value.split('+').map(Number)))}
+          className="bg-gray-800 text-xs text-gray-300 rounded px-2 py-1"
+        >
+          {sig.groupings.map(g => <option key={g.join('+')} value={g.join('+')}>{g.join('+')}</option>)}
+        </select>
+      )}
+      <div className="flex gap-1 ml-auto">
+        {meter.accents.map((accent, i) => (
+          <button
+            key={i}
+            onClick={() => cycleAccent(i)}
+            title={`Beat ${i + 1}: ${accent} (click to change)`}
+            className="w-6 h-6 text-xs rounded cursor-pointer font-mono"
+            style={{
+              backgroundColor: accent === 'strong' ? accentColor : accent === 'medium' ? `${accentColor}80` : '#374151',
+              color: accent === 'strong' || accent === 'medium' ? '#111' : accent === 'mute' ? '#4b5563' : '#9CA3AF',
+              textDecoration: accent === 'mute' ? 'line-through' : 'none',
+            }}
+          >
+            {i + 1}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ─── Tap tempo ──────────────────────────────────────────────────────────
+const TAP_RESET_GAP = 2;     // seconds of silence that start a new tap run
+const TAP_TEMPO_WINDOW = 12; // taps used for the tempo
+const TAP_FEEL_WINDOW = 32;  // taps kept while learning the player's feel
+
+// Median/MAD outlier rejection, then tempo from the mean of the kept intervals.
+// Confidence grows with the number of kept taps and falls with their spread.
+function estimateTapTempo(times) {
+  const intervals = times.slice(1).map((t, i) => t - times[i]);
+  if (intervals.length < 2) return null;
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const med = median(intervals);
+  const mad = median(intervals.map(ioi => Math.abs(ioi - med))) * 1.4826;
+  const kept = intervals.filter(ioi => Math.abs(ioi - med) <= Math.max(3 * mad, med * 0.04));
+  const mean = kept.reduce((a, b) => a + b, 0) / kept.length;
+  const sd = Math.sqrt(kept.reduce((sum, ioi) => sum + (ioi - mean) ** 2, 0) / kept.length);
+  const cv = (sd / mean) * 100;
+  const confidence = Math.min(1, kept.length / 8) * Math.max(0, 1 - cv / 10);
+  return { bpm: 60 / mean, cv, confidence, kept: kept.length, rejected: intervals.length - kept.length };
+}
+
+// The tempo slider's range; taps outside it set the nearest end
+function clampTapTempo(bpm) {
+  return Math.max(80, Math.min(180, Math.round(bpm)));
+}
+
+// ─── Component: Transport ───────────────────────────────────────────────
+// feelSuggestion (optional): { label, fromCV(cvPercent) → value, format(value), apply(value) }
+function Transport({ isPlaying, onToggle, bpm, onBpmChange, volume, onVolumeChange, accentColor, subdivision, onSubdivisionChange, refClick, onRefClickChange, tempoPresets = TEMPO_PRESETS, feelSuggestion }) {
+  const [tapTimes, setTapTimes] = useState([]);
+  const [tapEstimate, setTapEstimate] = useState(null);
+  const [learnFeel, setLearnFeel] = useState(false);
+
+  const handleTempoTap = (e) => {
+    const now = e.timeStamp / 1000;
+    const last = tapTimes[tapTimes.length - 1];
+    const run = last !== undefined && now - last < TAP_RESET_GAP ? tapTimes : [];
+    const times = [...run, now].slice(-(learnFeel ? TAP_FEEL_WINDOW : TAP_TEMPO_WINDOW));
+    setTapTimes(times);
+    // Tempo always comes from the latest taps, even while a longer run is kept for the feel
+    const estimate = estimateTapTempo(times.slice(-TAP_TEMPO_WINDOW));
+    const feel = learnFeel ? estimateTapTempo(times) : null;
+    setTapEstimate(estimate && { ...estimate, feelCV: feel ? feel.cv : null, feelTaps: times.length });
+    if (estimate) onBpmChange(clampTapTempo(estimate.bpm));
+  };
+
+  const suggested = feelSuggestion && tapEstimate && tapEstimate.feelCV !== null && tapEstimate.feelTaps >= 8
+    ? feelSuggestion.fromCV(tapEstimate.feelCV)
+    : null;
+
+  return (
+    <div className="flex flex-col gap-3 p-4 bg-gray-800 rounded-lg">
+      <div className="flex items-center gap-4">
+        <button
+          onClick={onToggle}
+          className="w-12 h-12 rounded-full flex items-center justify-center text-white font-bold text-lg border-2 transition-colors cursor-pointer"
+          style={{ borderColor: accentColor, backgroundColor: isPlaying ? accentColor : 'transparent' }}
+        >
+          {isPlaying ? '■' : '▶'}
+        </button>
+
+        <div className="flex-1">
+          <div className="flex items-center gap-2 mb-1">
+            <label className="text-xs text-gray-400 w-14">Tempo</label>
+            <input
+              type="range"
+              min="80"
+              max="180"
+              value={bpm}
+              onChange={e => onBpmChange(Number(e.target.value))}
+              className="flex-1 accent-current"
+              style={{ color: accentColor }}
+            />
+            <span className="text-sm font-mono w-16 text-right" style={{ color: accentColor }}>
+              {bpm} BPM
+            </span>
+          </div>
+          <div className="flex flex-wrap gap-1">
+            <button
+              onPointerDown={handleTempoTap}
+              className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors select-none bg-gray-700 text-gray-300 active:scale-95"
+              title="Tap a few beats to set the tempo"
+            >
+              Tap
+            </button>
+            {tempoPresets.map(p => (
+              <button
+                key={`${p.label}-${p.bpm}`}
+                onClick={() => onBpmChange(p.bpm)}
+                className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
+                style={{
+                  backgroundColor: bpm === p.bpm ? accentColor : '#374151',
+                  color: bpm === p.bpm ? '#111' : '#9CA3AF',
+                }}
+              >
+                {p.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <label className="text-xs text-gray-400">Vol</label>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={volume}
+            onChange={e => onVolumeChange(Number(e.target.value))}
+            className="w-20 accent-current"
+            style={{ color: accentColor }}
+          />
+        </div>
+      </div>
+
+      {(tapEstimate || feelSuggestion) && (
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-gray-400">
+          {tapEstimate && (
+            <span>
+              Tapped <span className="font-mono" style={{ color: accentColor }}>{tapEstimate.bpm.toFixed(1)}</span> BPM
+              {clampTapTempo(tapEstimate.bpm) !== Math.round(tapEstimate.bpm) && (
+                <span className="text-amber-400"> · out of range, tempo set to {clampTapTempo(tapEstimate.bpm)}</span>
+              )}
+              {' '}· confidence <span className="font-mono" style={{ color: accentColor }}>{Math.round(tapEstimate.confidence * 100)}%</span>
+              {tapEstimate.rejected > 0 && <span className="text-gray-500"> · {tapEstimate.rejected} outlier{tapEstimate.rejected > 1 ? 's' : ''} ignored</span>}
+            </span>
+          )}
+          {feelSuggestion && (
+            <label className="flex items-center gap-1 cursor-pointer ml-auto">
+              <input type="checkbox" checked={learnFeel} onChange={e => setLearnFeel(e.target.checked)} />
+              Learn my feel
+            </label>
+          )}
+          {learnFeel && tapEstimate && tapEstimate.feelCV !== null && (
+            suggested === null ? (
+              <span className="w-full text-gray-500">Keep tapping steadily — {tapEstimate.feelTaps}/8 taps</span>
+            ) : (
+              <span className="w-full">
+                Your taps vary by <span className="font-mono" style={{ color: accentColor }}>{tapEstimate.feelCV.toFixed(1)}%</span>
+                {' → '}{feelSuggestion.label} {feelSuggestion.format(suggested)}
+                <button
+                  onClick={() => feelSuggestion.apply(suggested)}
+                  className="ml-2 px-2 py-0.5 rounded cursor-pointer"
+                  style={{ backgroundColor: accentColor, color: '#111' }}
+                >
+                  Use
+                </button>
+              </span>
+            )
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center gap-3">
+        {/* Subdivision selector */}
+        <div className="flex items-center gap-1">
+          <label className="text-xs text-gray-400 mr-1">Notes</label>
+          {SUBDIV_OPTIONS.map(s => (
+            <button
+              key={s.value}
+              onClick={() => onSubdivisionChange(s.value)}
+              className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
+              title={s.desc}
+              style={{
+                backgroundColor: subdivision === s.value ? accentColor : '#374151',
+                color: subdivision === s.value ? '#111' : '#9CA3AF',
+              }}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Reference click toggle */}
+        <button
+          onClick={() => onRefClickChange(!refClick)}
+          className="flex items-center gap-1.5 px-2.5 py-0.5 text-xs rounded cursor-pointer transition-colors ml-auto"
+          style={{
+            backgroundColor: refClick ? accentColor : '#374151',
+            color: refClick ? '#111' : '#9CA3AF',
+          }}
+        >
+          <span className="text-base leading-none">◈</span> Steady ref
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Component: Groove Editor ───────────────────────────────────────────
+function GrooveEditor({ groove, onChange, subdivision, accentColor }) {
+  const steps = grooveSteps(groove, subdivision);
+  const setTable = (table, i, value) => {
+    const next = [...groove[table]];
+    next[i] = value;
+    onChange({ ...groove, [table]: next });
+  };
+  return (
+    <div className="bg-gray-800 rounded-lg p-3 space-y-2">
+      <div className="flex items-center gap-1">
+        <label className="text-xs text-gray-400 mr-1">Groove</label>
+        {GROOVE_TEMPLATES.map(t => (
+          <button
+            key={t.id}
+            onClick={() => onChange({ ...groove, template: t.id })}
+            className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
+            style={{
+              backgroundColor: groove.template === t.id ? accentColor : '#374151',
+              color: groove.template === t.id ? '#111' : '#9CA3AF',
+            }}
+          >
+            {t.label}
+          </button>
+        ))}
+        {/* Where each click lands inside the beat */}
+        <div className="relative flex-1 h-3 ml-3 bg-gray-700 rounded">
+          {[{ pos: 0, velocity: 1 }, ...steps].map((step, i) => (
+            <div
+              key={i}
+              className="absolute top-0 w-1 h-3 rounded"
+              style={{ left: `${step.pos * 100}%`, backgroundColor: accentColor, opacity: 0.25 + 0.75 * step.velocity }}
+            />
+          ))}
+        </div>
+      </div>
+      {groove.template === 'swing' && (
+        <Slider
+          label="Swing"
+          min={50} max={75} step={1}
+          value={groove.swing}
+          onChange={v => onChange({ ...groove, swing: v })}
+          display={`${groove.swing}%`}
+          accentColor={accentColor}
+        />
+      )}
+      {groove.template === 'swing' && subdivision % 2 === 1 && (
+        <div className="text-xs text-gray-500">Swing shapes pairs of steps — use 8ths or 16ths.</div>
+      )}
+      {groove.template === 'custom' && steps.map((step, i) => (
+        <div key={i} className="flex items-center gap-2 text-xs text-gray-400">
+          <span className="w-12 shrink-0">Step {i + 2}</span>
+          <label>Offset</label>
+          <input
+            type="range" min="-50" max="50" step="1"
+            value={groove.offsets[i]}
+            onChange={e => setTable('offsets', i, Number(e.target.value))}
+            className="flex-1 accent-current"
+            style={{ color: accentColor }}
+          />
+          <span className="w-10 text-right font-mono" style={{ color: accentColor }}>
+            {groove.offsets[i] > 0 ? '+' : ''}{groove.offsets[i]}%
+          </span>
+          <label>Vel</label>
+          <input
+            type="range" min="0" max="1" step="0.05"
+            value={groove.velocities[i]}
+            onChange={e => setTable('velocities', i, Number(e.target.value))}
+            className="w-16 accent-current"
+            style={{ color: accentColor }}
+          />
+          <span className="w-8 text-right font-mono" style={{ color: accentColor }}>
+            {groove.velocities[i].toFixed(2)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── Component: Network Editor (Kuramoto topology and sections) ─────────
+function NetworkEditor({ network, onChange, ensembleSize, accentColor }) {
+  const topology = KURAMOTO_TOPOLOGIES.find(t => t.id === network.topology);
+  const sectionOf = sectionAssignments(network.sections, ensembleSize);
+  const setListValue = (list, i, value) => {
+    const next = [...network[list]];
+    next[i] = value;
+    onChange({ ...network, [list]: next });
+  };
+  const smallButton = 'px-2 py-0.5 text-xs rounded cursor-pointer bg-gray-700 text-gray-300 disabled:opacity-40';
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-1">
+        <label className="text-xs text-gray-400 mr-1">Network</label>
+        {KURAMOTO_TOPOLOGIES.map(t => (
+          <button
+            key={t.id}
+            onClick={() => onChange({ ...network, topology: t.id })}
+            className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
+            style={{
+              backgroundColor: network.topology === t.id ? accentColor : '#374151',
+              color: network.topology === t.id ? '#111' : '#9CA3AF',
+            }}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+      <div className="text-xs text-gray-500">{topology.desc}</div>
+
+      {(network.topology === 'nearest' || network.topology === 'smallWorld') && (
+        <Slider
+          label="Reach"
+          min={1} max={4} step={1}
+          value={network.reach}
+          onChange={v => onChange({ ...network, reach: v })}
+          display={`±${network.reach}`}
+          accentColor={accentColor}
+        />
+      )}
+      {network.topology === 'smallWorld' && (
+        <Slider
+          label="Rewiring"
+          min={0} max={1} step={0.01}
+          value={network.rewire}
+          onChange={v => onChange({ ...network, rewire: v })}
+          display={network.rewire.toFixed(2)}
+          accentColor={accentColor}
+        />
+      )}
+
+      {network.topology === 'sections' && (
+        <>
+          {network.sections.map((share, s) => (
+            <div key={s} className="flex items-center gap-2 text-xs text-gray-400">
+              <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: SECTION_COLORS[s] }} />
+              <span className="w-14 shrink-0">{SECTION_NAMES[s]}</span>
+              <input
+                type="range" min="10" max="90" step="5"
+                value={share}
+                onChange={e => setListValue('sections', s, Number(e.target.value))}
+                className="flex-1 accent-current"
+                style={{ color: SECTION_COLORS[s] }}
+              />
+              <span className="w-16 text-right font-mono" style={{ color: SECTION_COLORS[s] }}>
+                {sectionOf.filter(x => x === s).length} players
+              </span>
+            </div>
+          ))}
+          <div className="flex gap-1">
+            <button
+              onClick={() => onChange(resizeSections(network, network.sections.length + 1))}
+              disabled={network.sections.length >= MAX_SECTIONS}
+              className={smallButton}
+            >
+              + Section
+            </button>
+            <button
+              onClick={() => onChange(resizeSections(network, network.sections.length - 1))}
+              disabled={network.sections.length <= 2}
+              className={smallButton}
+            >
+              − Section
+            </button>
+          </div>
+          {sectionPairs(network.sections.length).map(([a, b], p) => (
+            <div key={`${a}-${b}`} className="space-y-1 border-t border-gray-700 pt-2">
+              <div className="text-xs text-gray-400">
+                <span style={{ color: SECTION_COLORS[a] }}>{SECTION_NAMES[a]}</span>
+                {' ↔ '}
+                <span style={{ color: SECTION_COLORS[b] }}>{SECTION_NAMES[b]}</span>
+              </div>
+              <Slider
+                label="Coupling"
+                min={0} max={1} step={0.01}
+                value={network.crossWeights[p]}
+                onChange={v => setListValue('crossWeights', p, v)}
+                display={`×${network.crossWeights[p].toFixed(2)}`}
+                accentColor={accentColor}
+              />
+              <Slider
+                label="Lag"
+                min={-90} max={90} step={1}
+                value={network.crossLags[p]}
+                onChange={v => setListValue('crossLags', p, v)}
+                display={`${network.crossLags[p] > 0 ? '+' : ''}${network.crossLags[p]}°`}
+                accentColor={accentColor}
+              />
+            </div>
+          ))}
+          <div className="text-xs text-gray-500">
+            A positive lag lets the second section settle behind the first.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Component: Metrics Panel ───────────────────────────────────────────
+function MetricsPanel({ ioiHistory, baseBPM, sessionStart, accentColor }) {
+  const lastIOI = ioiHistory.length > 0 ? ioiHistory[ioiHistory.length - 1] : 60 / baseBPM;
+  const currentBPM = lastIOI > 0 ? (60 / lastIOI).toFixed(1) : baseBPM.toFixed(1);
+  const deviation = (((lastIOI - 60 / baseBPM) / (60 / baseBPM)) * 100).toFixed(2);
+
+  const recent = ioiHistory.slice(-64);
+  let sd = 0;
+  if (recent.length > 1) {
+    const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
+    sd = Math.sqrt(recent.reduce((sum, v) => sum + (v - mean) ** 2, 0) / recent.length);
+  }
+  const sdMs = (sd * 1000).toFixed(1);
+
+  const elapsed = sessionStart ? Math.floor((Date.now() - sessionStart) / 1000) : 0;
+  const mm = String(Math.floor(elapsed / 60)).padStart(2, '0');
+  const ss = String(elapsed % 60).padStart(2, '0');
+
+  return (
+    <div className="flex gap-4 text-xs font-mono text-gray-400 justify-center mt-2">
+      <span>IOI: <span style={{ color: accentColor }}>{(lastIOI * 1000).toFixed(0)}ms</span></span>
+      <span>BPM: <span style={{ color: accentColor }}>{currentBPM}</span></span>
+      <span>SD: <span style={{ color: accentColor }}>{sdMs}ms</span></span>
+      <span>Dev: <span style={{ color: accentColor }}>{deviation}%</span></span>
+      <span>Time: <span style={{ color: accentColor }}>{mm}:{ss}</span></span>
+    </div>
+  );
+}
+
+// ─── Component: Render Panel (offline bounce) ───────────────────────────
+function RenderPanel({ onRender, accentColor }) {
+  const [length, setLength] = useState(5);
+  const [unit, setUnit] = useState('minutes');
+  const [refMode, setRefMode] = useState('off');
+  const [status, setStatus] = useState(null);
+
+  const render = async (format) => {
+    setStatus('Rendering…');
+    try {
+      await onRender({ length, unit, refMode, format });
+      setStatus('Done');
+    } catch (err) {
+      setStatus(`Render failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="text-xs text-gray-400">Export Click Track</div>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="number"
+          min={1}
+          max={RENDER_MAX_LENGTH[unit]}
+          value={length}
+          onChange={e => setLength(clampRenderLength(e.target.value, unit))}
+          className="w-16 bg-gray-700 text-xs text-gray-300 rounded px-2 py-1"
+        />
+        <select
+          value={unit}
+          onChange={e => {
+            setUnit(e.target.value);
+            setLength(clampRenderLength(length, e.target.value));
+          }}
+          className="bg-gray-700 text-xs text-gray-300 rounded px-2 py-1"
+        >
+          <option value="bars">bars</option>
+          <option value="minutes">minutes</option>
+        </select>
+        <select
+          value={refMode}
+          onChange={e => setRefMode(e.target.value)}
+          className="bg-gray-700 text-xs text-gray-300 rounded px-2 py-1"
+        >
+          {REF_RENDER_MODES.map(m => (
+            <option key={m.value} value={m.value}>{m.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => render('wav')}
+          disabled={status === 'Rendering…'}
+          className="px-3 py-1 text-xs rounded cursor-pointer transition-colors ml-auto"
+          style={{ backgroundColor: accentColor, color: '#111' }}
+        >
+          WAV
+        </button>
+        <button
+          onClick={() => render('midi')}
+          disabled={status === 'Rendering…'}
+          className="px-3 py-1 text-xs rounded cursor-pointer transition-colors"
+          style={{ backgroundColor: '#374151', color: '#9CA3AF' }}
+        >
+          MIDI
+        </button>
+      </div>
+      {status && <div className="text-xs text-gray-500">{status}</div>}
+    </div>
+  );
+}
+
+// ─── Component: Session Export Bar ──────────────────────────────────────
+function SessionExportBar({ getRecord, disabled }) {
+  const exportAs = (format) => {
+    const record = getRecord();
+    if (record && record.beats.length > 1) exportSession(record, format);
+  };
+  return (
+    <div className="flex items-center justify-center gap-2 text-xs text-gray-500">
+      <span>Export session:</span>
+      {[['csv', 'CSV'], ['json', 'JSON'], ['midi', '.mid tempo map']].map(([format, label]) => (
+        <button
+          key={format}
+          onClick={() => exportAs(format)}
+          disabled={disabled}
+          className="px-2 py-0.5 rounded cursor-pointer transition-colors bg-gray-700 text-gray-300 disabled:opacity-40 disabled:cursor-default"
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ─── Component: Preset List (recall, rename, reorder, delete) ───────────
+function PresetList({ items, onRecall, onRename, onMove, onDelete, describe, accentColor }) {
+  const [editing, setEditing] = useState(null); // { id, name }
+
+  if (items.length === 0) return <div className="text-xs text-gray-600">None saved yet</div>;
+
+  const commit = () => {
+    if (editing && editing.name.trim()) onRename(editing.id, editing.name.trim());
+    setEditing(null);
+  };
+
+  return (
+    <div className="space-y-1">
+      {items.map((item, i) => (
+        <div key={item.id} className="flex items-center gap-1 text-xs">
+          {editing && editing.id === item.id ? (
+            <input
+              autoFocus
+              value={editing.name}
+              onChange={e => setEditing({ ...editing, name: e.target.value })}
+              onBlur={commit}
+              onKeyDown={e => { if (e.key === 'Enter') commit(); if (e.key === 'Escape') setEditing(null); }}
+              className="flex-1 bg-gray-700 text-gray-200 rounded px-2 py-0.5"
+            />
+          ) : (
+            <button
+              onClick={() => onRecall && onRecall(item)}
+              className="flex-1 text-left px-2 py-0.5 rounded bg-gray-700 text-gray-300 cursor-pointer truncate"
+              style={{ cursor: onRecall ? 'pointer' : 'default' }}
+            >
+              <span style={{ color: accentColor }}>{item.name}</span>
+              {describe && <span className="text-gray-500 ml-2">{describe(item)}</span>}
+            </button>
+          )}
+          <button onClick={() => setEditing({ id: item.id, name: item.name })} title="Rename" className="px-1 text-gray-500 hover:text-gray-300 cursor-pointer">✎</button>
+          <button onClick={() => onMove(item.id, -1)} disabled={i === 0} title="Move up" className="px-1 text-gray-500 hover:text-gray-300 cursor-pointer disabled:opacity-30">↑</button>
+          <button onClick={() => onMove(item.id, 1)} disabled={i === items.length - 1} title="Move down" className="px-1 text-gray-500 hover:text-gray-300 cursor-pointer disabled:opacity-30">↓</button>
+          <button onClick={() => onDelete(item.id)} title="Delete" className="px-1 text-red-400 hover:text-red-300 cursor-pointer">✕</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── Component: Preset Panel ────────────────────────────────────────────
+function PresetPanel({ engine, presets, config, onRecall, accentColor }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const { library, add, rename, move, remove, exportFile, importFile } = presets;
+
+  const listProps = (list) => ({
+    items: library[list],
+    onRename: (id, newName) => rename(list, id, newName),
+    onMove: (id, delta) => move(list, id, delta),
+    onDelete: (id) => remove(list, id),
+    accentColor,
+  });
+
+  const saveAs = (list, item) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (list === 'pllModes' && isModeNameTaken(library.pllModes, trimmed)) {
+      setError(`There's already a mode called "${trimmed}"`);
+      return;
+    }
+    setError(null);
+    add(list, { name: trimmed, ...item });
+    setName('');
+  };
+
+  const importPresets = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    importFile(file)
+      .then(() => setError(null))
+      .catch(err => setError(`Import failed: ${err.message}`));
+  };
+
+  const smallButton = 'px-2 py-0.5 text-xs rounded cursor-pointer bg-gray-700 text-gray-300 disabled:opacity-40';
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <button
+        onClick={() => setOpen(!open)}
+        className="text-xs text-gray-400 hover:text-gray-200 cursor-pointer"
+      >
+        {open ? '▾' : '▸'} Presets {library[engine].length > 0 && `(${library[engine].length})`}
+      </button>
+
+      {!open && library[engine].length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {library[engine].map(item => (
+            <button
+              key={item.id}
+              onClick={() => onRecall(item.config)}
+              className="px-2 py-0.5 text-xs rounded cursor-pointer bg-gray-700"
+              style={{ color: accentColor }}
+            >
+              {item.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {open && (
+        <>
+          <div className="flex items-center gap-2">
+            <input
+              value={name}
+              onChange={e => setName(e.target.value)}
+              placeholder="Name…"
+              className="flex-1 bg-gray-700 text-xs text-gray-200 rounded px-2 py-1"
+            />
+            <button onClick={() => saveAs(engine, { config })} disabled={!name.trim()} className={smallButton}>
+              Save settings
+            </button>
+            <button onClick={() => saveAs('tempos', { bpm: config.bpm })} disabled={!name.trim()} className={smallButton}>
+              Save tempo
+            </button>
+            {engine === 'pll' && (
+              <button
+                onClick={() => saveAs('pllModes', { Kp: config.Kp, Ki: config.Ki, desc: `Kp ${config.Kp}, Ki ${config.Ki}` })}
+                disabled={!name.trim()}
+                className={smallButton}
+              >
+                Save mode
+              </button>
+            )}
+          </div>
+
+          <div className="text-xs text-gray-500">Settings</div>
+          <PresetList {...listProps(engine)} onRecall={item => onRecall(item.config)} describe={item => `${item.config.bpm} BPM`} />
+
+          <div className="text-xs text-gray-500">Tempo buttons</div>
+          <PresetList {...listProps('tempos')} describe={item => `${item.bpm} BPM`} />
+
+          {engine === 'pll' && (
+            <>
+              <div className="text-xs text-gray-500">Response modes</div>
+              <PresetList {...listProps('pllModes')} describe={item => `Kp ${item.Kp} · Ki ${item.Ki}`} />
+            </>
+          )}
+
+          <div className="flex items-center gap-2 pt-1">
+            <button onClick={exportFile} className={smallButton}>Export JSON</button>
+            <label className={smallButton}>
+              Import JSON
+              <input type="file" accept=".json,application/json" onChange={importPresets} className="hidden" />
+            </label>
+          </div>
+          {error && <div className="text-xs text-red-400">{error}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Component: Routine Panel ───────────────────────────────────────────
+function RoutineNumber({ value, onChange, placeholder = '', className = 'w-14' }) {
+  return (
+    <input
+      type="number"
+      value={value ?? ''}
+      placeholder={placeholder}
+      onChange={e => onChange(e.target.value === '' ? null : Number(e.target.value))}
+      className={`${className} bg-gray-700 text-xs text-gray-200 rounded px-1 py-0.5`}
+    />
+  );
+}
+
+function RoutinePanel({ engine, presets, isPlaying, progress, onRun, accentColor }) {
+  const [open, setOpen] = useState(false);
+  const [steps, setSteps] = useState([]);
+  const [name, setName] = useState('');
+  const paramDefs = ROUTINE_PARAMS[engine];
+  const { library, add, rename, move, remove } = presets;
+  const saved = library.routines.filter(r => r.engine === engine);
+
+  const newStep = {
+    hold: () => ({ type: 'hold', bars: 8, values: {} }),
+    stepUp: () => ({ type: 'stepUp', param: 'bpm', by: 2, everyBars: 16, to: 132 }),
+    ramp: () => ({ type: 'ramp', param: paramDefs[1].id, from: null, to: paramDefs[1].max / 2, length: 2, unit: 'minutes' }),
+  };
+  const update = (i, patch) => setSteps(steps.map((step, j) => (j === i ? { ...step, ...patch } : step)));
+  const setHoldValue = (i, param, value) => {
+    const values = { ...steps[i].values };
+    if (value === null) delete values[param];
+    else values[param] = value;
+    update(i, { values });
+  };
+  const moveStep = (i, delta) => {
+    const next = [...steps];
+    [next[i], next[i + delta]] = [next[i + delta], next[i]];
+    setSteps(next);
+  };
+  // Blank fields would stall the runner, so a routine only runs once every step is filled in
+  const complete = steps.length > 0 && steps.every(step => (step.type === 'hold'
+    ? step.bars > 0
+    : step.type === 'stepUp'
+      ? step.by !== null && step.to !== null && step.everyBars > 0
+      : step.to !== null && step.length > 0));
+
+  const smallButton = 'px-2 py-0.5 text-xs rounded cursor-pointer bg-gray-700 text-gray-300 disabled:opacity-40';
+  const paramSelect = (i, step) => (
+    <select
+      value={step.param}
+      onChange={e => update(i, { param: e.target.value })}
+      className="bg-gray-700 text-xs text-gray-300 rounded px-1 py-0.5"
+    >
+      {paramDefs.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <button
+        onClick={() => setOpen(!open)}
+        className="text-xs text-gray-400 hover:text-gray-200 cursor-pointer"
+      >
+        {open ? '▾' : '▸'} Practice routine {steps.length > 0 && `(${steps.length} steps)`}
+      </button>
+
+      {progress && (
+        <div className="space-y-1">
+          <div className="flex gap-0.5">
+            {Array.from({ length: progress.stepCount }, (_, i) => (
+              <div
+                key={i}
+                className="flex-1 h-1.5 rounded-sm"
+                style={{ backgroundColor: i < progress.stepIndex ? accentColor : i === progress.stepIndex ? `${accentColor}80` : '#374151' }}
+              />
+            ))}
+          </div>
+          <div className="text-xs text-gray-400">
+            {progress.done
+              ? `Routine complete after ${progress.bars} bars`
+              : <>Step {progress.stepIndex + 1}/{progress.stepCount} · bar {progress.stepBar} · <span style={{ color: accentColor }}>{progress.label}</span></>}
+          </div>
+        </div>
+      )}
+
+      {open && (
+        <>
+          <div className="space-y-1">
+            {steps.length === 0 && <div className="text-xs text-gray-600">Add steps to build a routine</div>}
+            {steps.map((step, i) => (
+              <div key={i} className="flex flex-wrap items-center gap-1 text-xs text-gray-400">
+                <span className="w-5 text-gray-600">{i + 1}.</span>
+                {step.type === 'hold' && (
+                  <>
+                    <RoutineNumber value={step.bars} onChange={v => update(i, { bars: v })} className="w-12" />
+                    <span>bars at</span>
+                    {paramDefs.map(p => (
+                      <RoutineNumber key={p.id} value={step.values[p.id]} onChange={v => setHoldValue(i, p.id, v)} placeholder={p.label} className="w-16" />
+                    ))}
+                  </>
+                )}
+                {step.type === 'stepUp' && (
+                  <>
+                    {paramSelect(i, step)}
+                    <span>by</span>
+                    <RoutineNumber value={step.by} onChange={v => update(i, { by: v })} />
+                    <span>every</span>
+                    <RoutineNumber value={step.everyBars} onChange={v => update(i, { everyBars: v })} className="w-12" />
+                    <span>bars up to</span>
+                    <RoutineNumber value={step.to} onChange={v => update(i, { to: v })} />
+                  </>
+                )}
+                {step.type === 'ramp' && (
+                  <>
+                    {paramSelect(i, step)}
+                    <span>from</span>
+                    <RoutineNumber value={step.from} onChange={v => update(i, { from: v })} placeholder="now" />
+                    <span>to</span>
+                    <RoutineNumber value={step.to} onChange={v => update(i, { to: v })} />
+                    <span>over</span>
+                    <RoutineNumber value={step.length} onChange={v => update(i, { length: v })} className="w-12" />
+                    <select
+                      value={step.unit}
+                      onChange={e => update(i, { unit: e.target.value })}
+                      className="bg-gray-700 text-xs text-gray-300 rounded px-1 py-0.5"
+                    >
+                      <option value="bars">bars</option>
+                      <option value="minutes">min</option>
+                    </select>
+                  </>
+                )}
+                <span className="ml-auto" />
+                <button onClick={() => moveStep(i, -1)} disabled={i === 0} title="Move up" className="px-1 text-gray-500 hover:text-gray-300 cursor-pointer disabled:opacity-30">↑</button>
+                <button onClick={() => moveStep(i, 1)} disabled={i === steps.length - 1} title="Move down" className="px-1 text-gray-500 hover:text-gray-300 cursor-pointer disabled:opacity-30">↓</button>
+                <button onClick={() => setSteps(steps.filter((_, j) => j !== i))} title="Delete" className="px-1 text-red-400 hover:text-red-300 cursor-pointer">✕</button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={() => setSteps([...steps, newStep.hold()])} className={smallButton}>+ Hold</button>
+            <button onClick={() => setSteps([...steps, newStep.stepUp()])} className={smallButton}>+ Steps</button>
+            <button onClick={() => setSteps([...steps, newStep.ramp()])} className={smallButton}>+ Ramp</button>
+            <button
+              onClick={() => onRun(steps)}
+              disabled={!complete || isPlaying}
+              className="px-3 py-1 text-xs rounded cursor-pointer transition-colors ml-auto disabled:opacity-40"
+              style={{ backgroundColor: accentColor, color: '#111' }}
+            >
+              ▶ Run routine
+            </button>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <input
+              value={name}
+              onChange={e => setName(e.target.value)}
+              placeholder="Name…"
+              className="flex-1 bg-gray-700 text-xs text-gray-200 rounded px-2 py-1"
+            />
+            <button
+              onClick={() => {
+                add('routines', { name: name.trim(), engine, steps });
+                setName('');
+              }}
+              disabled={!name.trim() || !complete}
+              className={smallButton}
+            >
+              Save routine
+            </button>
+          </div>
+
+          <PresetList
+            items={saved}
+            onRecall={item => setSteps(item.steps)}
+            onRename={(id, newName) => rename('routines', id, newName)}
+            onMove={(id, delta) => move('routines', id, delta)}
+            onDelete={id => remove('routines', id)}
+            describe={item => `${item.steps.length} steps`}
+            accentColor={accentColor}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Component: Correlation Analysis Panel ──────────────────────────────
+const ANALYSIS_COLORS = ['#14b8a6', '#f472b6', '#60a5fa', '#facc15'];
+
+function LogLogPlot({ title, results, pick, targetSlope, xLabel, yLabel }) {
+  const all = results.flatMap(r => pick(r.analysis).points);
+  if (all.length === 0) return null;
+  const xMin = Math.min(...all.map(p => p.x));
+  const xMax = Math.max(...all.map(p => p.x));
+  const yMin = Math.min(...all.map(p => p.y));
+  const yMax = Math.max(...all.map(p => p.y));
+  const W = 160;
+  const H = 110;
+  const sx = (x) => ((x - xMin) / (xMax - xMin || 1)) * W;
+  const sy = (y) => H - ((y - yMin) / (yMax - yMin || 1)) * H;
+  // Target line passes through the first series' centre so only the slope is compared
+  const first = pick(results[0].analysis);
+  const cx = (xMin + xMax) / 2;
+  const cy = first.fit.intercept + first.fit.slope * cx;
+  return (
+    <div className="flex-1 min-w-0">
+      <div className="text-xs text-gray-400 mb-1">{title}</div>
+      <svg viewBox={`-4 -4 ${W + 8} ${H + 8}`} className="w-full bg-gray-900 rounded">
+        <line
+          x1={sx(xMin)} y1={sy(cy + targetSlope * (xMin - cx))}
+          x2={sx(xMax)} y2={sy(cy + targetSlope * (xMax - cx))}
+          stroke="#9CA3AF" strokeWidth="0.8" strokeDasharray="3 2"
+        />
+        {results.map((r, i) => {
+          const a = pick(r.analysis);
+          const color = ANALYSIS_COLORS[i % ANALYSIS_COLORS.length];
+          return (
+            <g key={r.label}>
+              {a.points.map((p, j) => <circle key={j} cx={sx(p.x)} cy={sy(p.y)} r="1.6" fill={color} opacity="0.7" />)}
+              <line
+                x1={sx(xMin)} y1={sy(a.fit.intercept + a.fit.slope * xMin)}
+                x2={sx(xMax)} y2={sy(a.fit.intercept + a.fit.slope * xMax)}
+                stroke={color} strokeWidth="1"
+              />
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-600">
+        <span>{xLabel}</span>
+        <span>{yLabel}</span>
+      </div>
+    </div>
+  );
+}
+
+// getSeries() returns, or resolves to, [{ label, values }] of intervals in seconds, read when the user asks
+function AnalysisPanel({ getSeries, targetBeta, accentColor }) {
+  const [open, setOpen] = useState(false);
+  const [results, setResults] = useState(null);
+  const [ownBeta, setOwnBeta] = useState(1);
+  const [busy, setBusy] = useState(false);
+  const beta = targetBeta ?? ownBeta;
+
+  const analyze = async () => {
+    setBusy(true);
+    try {
+      const series = await getSeries();
+      setResults(series
+        .map(s => ({ label: s.label, analysis: analyzeSeries(s.values), length: s.values.length }))
+        .filter(r => r.analysis || r.length > 0));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const ready = results ? results.filter(r => r.analysis) : [];
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <button onClick={() => setOpen(!open)} className="text-xs text-gray-400 hover:text-gray-200 cursor-pointer">
+          {open ? '▾' : '▸'} Correlation analysis (1/f check)
+        </button>
+        {open && (
+          <button
+            onClick={analyze}
+            disabled={busy}
+            className="px-3 py-1 text-xs rounded cursor-pointer disabled:opacity-40"
+            style={{ backgroundColor: accentColor, color: '#111' }}
+          >
+            {busy ? 'Analyzing…' : 'Analyze'}
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <>
+          {targetBeta === undefined && (
+            <Slider
+              label="Target β"
+              min={0} max={2} step={0.05}
+              value={ownBeta}
+              onChange={setOwnBeta}
+              display={beta.toFixed(2)}
+              accentColor={accentColor}
+            />
+          )}
+          {results && results.filter(r => !r.analysis).map(r => (
+            <div key={r.label} className="text-xs text-gray-600">
+              {r.label}: {r.length} intervals — need at least {ANALYSIS_MIN_LENGTH}
+            </div>
+          ))}
+          {ready.length > 0 && (
+            <>
+              <div className="flex gap-3">
+                <LogLogPlot
+                  title="Power spectrum"
+                  results={ready}
+                  pick={a => a.spectrum}
+                  targetSlope={-beta}
+                  xLabel="log f"
+                  yLabel="log P"
+                />
+                <LogLogPlot
+                  title="DFA"
+                  results={ready}
+                  pick={a => a.dfa}
+                  targetSlope={(beta + 1) / 2}
+                  xLabel="log n"
+                  yLabel="log F(n)"
+                />
+              </div>
+              <div className="space-y-0.5 text-xs font-mono">
+                {ready.map((r, i) => (
+                  <div key={r.label} style={{ color: ANALYSIS_COLORS[i % ANALYSIS_COLORS.length] }}>
+                    {r.label} ({r.length}): β = {r.analysis.spectrum.beta.toFixed(2)} · α = {r.analysis.dfa.alpha.toFixed(2)}
+                    <span className="text-gray-500"> (2α−1 = {(2 * r.analysis.dfa.alpha - 1).toFixed(2)})</span>
+                  </div>
+                ))}
+                <div className="text-gray-500">
+                  Target β = {beta.toFixed(2)} · α = {((beta + 1) / 2).toFixed(2)} (dashed)
+                </div>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Component: Gap Training Panel ──────────────────────────────────────
+function GapTrainingPanel({ settings, onChange, gapBar, stats, accentColor }) {
+  const set = (patch) => onChange({ ...settings, ...patch });
+  const formatDrift = (ms) => (ms === null ? '—' : `${ms >= 0 ? '+' : ''}${ms.toFixed(0)}ms`);
+  const lastGap = stats && stats.gaps[stats.gaps.length - 1];
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-xs text-gray-400">
+          Gap Training
+          {settings.enabled && gapBar >= 0 && (
+            <span className="ml-2" style={{ color: accentColor }}>silent bar {gapBar + 1}/{settings.gapBars}</span>
+          )}
+        </div>
+        <button
+          onClick={() => set({ enabled: !settings.enabled })}
+          className="px-3 py-1 text-xs rounded cursor-pointer transition-colors"
+          style={{
+            backgroundColor: settings.enabled ? accentColor : '#374151',
+            color: settings.enabled ? '#111' : '#9CA3AF',
+          }}
+        >
+          🤫 Muted bars
+        </button>
+      </div>
+
+      {settings.enabled && (
+        <>
+          <Slider
+            label="Click bars"
+            min={1} max={16} step={1}
+            value={settings.clickBars}
+            onChange={v => set({ clickBars: v })}
+            display={`${settings.clickBars}`}
+            accentColor={accentColor}
+          />
+          <Slider
+            label="Silent bars"
+            min={1} max={16} step={1}
+            value={settings.gapBars}
+            onChange={v => set({ gapBars: v })}
+            display={`${settings.gapBars}`}
+            accentColor={accentColor}
           />
+          <div className="flex items-center gap-1">
+            <label className="text-xs text-gray-400 w-24 shrink-0">Measure vs</label>
+            {[{ id: 'modulated', label: 'Engine beats' }, { id: 'steady', label: 'Steady grid' }].map(g => (
+              <button
+                key={g.id}
+                onClick={() => set({ grid: g.id })}
+                className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
+                style={{
+                  backgroundColor: settings.grid === g.id ? accentColor : '#374151',
+                  color: settings.grid === g.id ? '#111' : '#9CA3AF',
+                }}
+              >
+                {g.label}
+              </button>
+            ))}
+          </div>
+
+          {stats && stats.gaps.length > 0 ? (
+            <div className="space-y-1 text-xs font-mono text-gray-400">
+              <div>
+                Last gap: {lastGap.barDrift.map((d, i) => (
+                  <span key={i} className="mr-2">bar {i + 1} <span style={{ color: accentColor }}>{formatDrift(d)}</span></span>
+                ))}
+              </div>
+              <div>
+                Cumulative |error|: <span style={{ color: accentColor }}>{lastGap.cumulative.toFixed(0)}ms</span> over {lastGap.taps} taps
+              </div>
+              <div className="text-gray-500">
+                All {stats.gaps.length} gaps: {stats.byBar.map((d, i) => (
+                  <span key={i} className="mr-2">bar {i + 1} {formatDrift(d)}</span>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <div className="text-xs text-gray-600">Keep tapping through the silent bars</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Component: Seed Control ────────────────────────────────────────────
+function SeedControl({ seed, onSeedChange, autoSeed, onAutoSeedChange, accentColor }) {
+  return (
+    <div className="flex items-center gap-2">
+      <label className="text-xs text-gray-400 w-24 shrink-0">Seed</label>
+      <input
+        type="text"
+        inputMode="numeric"
+        value={seed}
+        onChange={e => {
+          const digits = e.target.value.replace(/\D/g, '').slice(0, 10);
+          onSeedChange(digits === '' ? 0 : Math.min(4294967295, Number(digits)));
+          onAutoSeedChange(false);
+        }}
+        className="w-24 bg-gray-700 text-xs font-mono rounded px-2 py-1"
+        style={{ color: accentColor }}
+      />
+      <button
+        onClick={() => {
+          onSeedChange(randomSeed());
+          onAutoSeedChange(false);
+        }}
+        className="px-2 py-0.5 text-xs rounded cursor-pointer bg-gray-700 text-gray-300"
+        title="New random seed"
+      >
+        🎲
+      </button>
+      <label className="flex items-center gap-1 text-xs text-gray-500 cursor-pointer ml-auto">
+        <input type="checkbox" checked={autoSeed} onChange={e => onAutoSeedChange(e.target.checked)} />
+        New seed each play
+      </label>
+    </div>
+  );
+}
+
+// ─── Slider Component ───────────────────────────────────────────────────
+function Slider({ label, min, max, step, value, onChange, display, accentColor }) {
+  return (
+    <div className="flex items-center gap-2">
+      <label className="text-xs text-gray-400 w-24 shrink-0">{label}</label>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={e => onChange(Number(e.target.value))}
+        className="flex-1 accent-current"
+        style={{ color: accentColor }}
+      />
+      <span className="text-xs font-mono w-16 text-right" style={{ color: accentColor }}>
+        {display}
+      </span>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 1/f Fractal Metronome
+// ═══════════════════════════════════════════════════════════════════════
+function FractalMetronome({ midiClock, clickKit, drums, config, onConfigChange, presets }) {
+  const ACCENT = '#14b8a6';
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [bpm, setBpm] = useState(config.bpm);
+  const [volume, setVolume] = useState(80);
+  const [drift, setDrift] = useState(config.drift);
+  const [color, setColor] = useState(config.color);
+  const [subdivision, setSubdivision] = useState(config.subdivision);
+  const [groove, setGroove] = useState(config.groove);
+  const [refClick, setRefClick] = useState(config.refClick);
+  const [meter, setMeter] = useState(config.meter);
+  const [seed, setSeed] = useState(() => config.seed ?? randomSeed());
+  const [autoSeed, setAutoSeed] = useState(config.seed === null);
+  const [currentBeat, setCurrentBeat] = useState(-1);
+  const display = useAudibleUpdates();
+  const [ioiHistory, setIoiHistory] = useState([]);
+  const [sessionStart, setSessionStart] = useState(null);
+  const [routineProgress, setRoutineProgress] = useState(null);
+
+  const audioCtxRef = useRef(null);
+  const gainRef = useRef(null);
+  const refGainRef = useRef(null);
+  const clockRef = useRef(null);
+  const prevBeatTimeRef = useRef(0);
+  const beatCountRef = useRef(0);
+  const timekeeperRef = useRef(new FractalTimekeeper());
+  const ioiBufferRef = useRef([]);
+  const sessionLogRef = useRef(null);
+  const routineRef = useRef(null);
+
+  // Keep params in refs so the scheduler sees latest values
+  const bpmRef = useRef(bpm);
+  const driftRef = useRef(drift);
+  const colorRef = useRef(color);
+  const subdivRef = useRef(subdivision);
+  const refClickRef = useRef(refClick);
+  useEffect(() => { bpmRef.current = bpm; }, [bpm]);
+  useEffect(() => { driftRef.current = drift; }, [drift]);
+  useEffect(() => { colorRef.current = color; }, [color]);
+  useEffect(() => { subdivRef.current = subdivision; }, [subdivision]);
+  const grooveRef = useRef(groove);
+  useEffect(() => { grooveRef.current = groove; }, [groove]);
+  useEffect(() => { refClickRef.current = refClick; }, [refClick]);
+  const meterRef = useRef(meter);
+  useEffect(() => { meterRef.current = meter; }, [meter]);
+
+  // Engine settings as recorded with each session
+  const params = useMemo(() => ({ bpm, drift, color, subdivision, groove, refClick, meter, seed }),
+    [bpm, drift, color, subdivision, groove, refClick, meter, seed]);
+  const paramsRef = useRef(params);
+  useEffect(() => {
+    paramsRef.current = params;
+    if (sessionLogRef.current && audioCtxRef.current) {
+      sessionLogRef.current.noteParams(audioCtxRef.current.currentTime, params);
+    }
+  }, [params]);
+
+  // Settings for the URL and remounts: the seed only counts once the user has fixed one
+  const currentConfig = useMemo(() => ({ ...params, seed: autoSeed ? null : seed }), [params, autoSeed, seed]);
+
+  // Report settings up so the URL and remounts keep them, and the shown seed for shared links
+  useEffect(() => {
+    onConfigChange('fractal', currentConfig, seed);
+  }, [onConfigChange, currentConfig, seed]);
+
+  // Routine values go straight into the refs the scheduler reads, then into state for the controls
+  const applyAutomation = useCallback((values) => {
+    const targets = { bpm: [bpmRef, setBpm], drift: [driftRef, setDrift], color: [colorRef, setColor] };
+    for (const [param, value] of Object.entries(values)) {
+      targets[param][0].current = value;
+      targets[param][1](value);
+    }
+  }, []);
+
+  const getNextIOI = useCallback(() => {
+    return timekeeperRef.current.nextIOI(bpmRef.current, driftRef.current, colorRef.current);
+  }, []);
+
+  const startPlayback = useCallback((routine = null) => {
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const gain = ctx.createGain();
+    gain.gain.value = volume / 100;
+    gain.connect(ctx.destination);
+    const refGain = ctx.createGain();
+    refGain.gain.value = volume / 100;
+    refGain.connect(ctx.destination);
+    audioCtxRef.current = ctx;
+    gainRef.current = gain;
+    refGainRef.current = refGain;
+
+    const runSeed = autoSeed ? randomSeed() : seed;
+    if (autoSeed) setSeed(runSeed);
+    timekeeperRef.current = new FractalTimekeeper(createRng(runSeed));
+    beatCountRef.current = 0;
+    ioiBufferRef.current = [];
+    sessionLogRef.current = new SessionLog('fractal', { ...paramsRef.current, seed: runSeed });
+    routineRef.current = routine && new RoutineRunner(routine, ROUTINE_PARAMS.fractal,
+      { bpm: bpmRef.current, drift: driftRef.current, color: colorRef.current });
+    setRoutineProgress(null);
+    setIoiHistory([]);
+    setSessionStart(Date.now());
+
+    // Each modulating beat answers the clock with the IOI to the one after it
+    const playBeat = (beatTime) => {
+      const beatNum = beatCountRef.current;
+
+      // Record IOI
+      if (beatNum > 0) {
+        const ioi = beatTime - prevBeatTimeRef.current;
+        ioiBufferRef.current.push(ioi);
+        if (ioiBufferRef.current.length > 256) ioiBufferRef.current.shift();
+        setIoiHistory([...ioiBufferRef.current]);
+      }
+
+      // Routine automation lands on the bar line, before the next IOI is drawn
+      if (routineRef.current && beatNum % meterRef.current.beats === 0) {
+        const values = routineRef.current.bar(beatTime);
+        if (values) applyAutomation(values);
+        setRoutineProgress(routineRef.current.progress());
+      }
+
+      // Schedule the beat and its subdivision clicks
+      const nextIOI = getNextIOI();
+      const clickTimes = scheduleBeat(ctx, beatTime, beatAccent(meterRef.current, beatNum), nextIOI,
+        subdivRef.current, grooveRef.current, gainRef.current, clickKit);
+      drums.beat(ctx, beatTime, beatNum % meterRef.current.beats, nextIOI, subdivRef.current, grooveRef.current, gainRef.current);
+      sessionLogRef.current.addBeat(beatTime, beatNum % meterRef.current.beats === 0, clickTimes.slice(1));
+      midiClock.beat(ctx, beatTime, nextIOI);
+
+      // Light the beat dot when the beat is heard
+      const barPos = beatNum % meterRef.current.beats;
+      display.at(beatTime, () => setCurrentBeat(barPos));
+
+      prevBeatTimeRef.current = beatTime;
+      beatCountRef.current++;
+      clock.pushIOI('beat', nextIOI);
+    };
+
+    // Steady reference beats keep counting while muted, so switching them back on lands on the grid
+    const playRefBeat = (refTime, refNum) => {
+      if (refClickRef.current) {
+        scheduleRefClick(ctx, refTime, beatAccent(meterRef.current, refNum), refGainRef.current, clickKit);
+      }
+      clock.pushIOI('ref', 60.0 / bpmRef.current);
+    };
+
+    const clock = new BeatClock(ctx, {
+      onBeat: (track, index, time) => {
+        if (track === 'beat') playBeat(time);
+        else playRefBeat(time, index);
+      },
+    });
+    clock.addTrack('beat');
+    clock.addTrack('ref');
+    clockRef.current = clock;
+    display.start(ctx);
+    requestWakeLock();
+    setIsPlaying(true);
+  }, [display, volume, getNextIOI, applyAutomation, midiClock, clickKit, drums, seed, autoSeed]);
+
+  const stopPlayback = useCallback(() => {
+    if (clockRef.current) clockRef.current.stop();
+    clockRef.current = null;
+    display.stop();
+    if (audioCtxRef.current) {
+      audioCtxRef.current.close();
+      audioCtxRef.current = null;
+    }
+    midiClock.stop();
+    saveSessionLog(sessionLogRef.current);
+    routineRef.current = null;
+    releaseWakeLock();
+    setIsPlaying(false);
+    setCurrentBeat(-1);
+  }, [display, midiClock]);
+
+  // Offline bounce with a fresh timekeeper and the current settings
+  const renderTrack = useCallback(async ({ length, unit, refMode, format }) => {
+    const timekeeper = new FractalTimekeeper(createRng(seed));
+    const files = await renderClickTrack({
+      nextIOI: () => timekeeper.nextIOI(bpm, drift, color),
+      subdivIOI: (prevIOI, nextIOI) => nextIOI,
+      bpm, subdivision, groove, meter, kit: clickKit, drums, volume, length, unit, refMode, format,
+    });
+    files.forEach(f => downloadBlob(f.blob, `fractal-${bpm}bpm-${length}${unit}-${f.suffix}.${f.ext}`));
+  }, [bpm, drift, color, subdivision, groove, meter, clickKit, drums, volume, seed]);
+
+  const getSessionRecord = useCallback(() => {
+    return sessionLogRef.current ? sessionLogRef.current.toRecord() : null;
+  }, []);
+
+  // Live beats plus a long offline run of a fresh timekeeper, to check PinkNoise and the β blending
+  const getAnalysisSeries = useCallback(() => {
+    const timekeeper = new FractalTimekeeper(createRng(seed));
+    return [
+      { label: 'Live IOIs', values: beatIntervals(sessionLogRef.current) },
+      { label: 'Engine test', values: Array.from({ length: 4096 }, () => timekeeper.nextIOI(bpm, drift, color)) },
+    ];
+  }, [bpm, drift, color, seed]);
+
+  const applyConfig = useCallback((c) => {
+    setBpm(c.bpm);
+    setDrift(c.drift);
+    setColor(c.color);
+    setSubdivision(c.subdivision);
+    setGroove(c.groove || DEFAULT_GROOVE);
+    setRefClick(c.refClick);
+    setMeter(c.meter || DEFAULT_METER);
+    if (c.seed !== null && c.seed !== undefined) setSeed(c.seed);
+    setAutoSeed(c.seed === null || c.seed === undefined);
+  }, []);
+
+  const togglePlayback = useCallback(() => {
+    if (isPlaying) stopPlayback();
+    else startPlayback();
+  }, [isPlaying, startPlayback, stopPlayback]);
+
+  // Update gain in real time
+  useEffect(() => {
+    if (gainRef.current) gainRef.current.gain.value = volume / 100;
+    if (refGainRef.current) refGainRef.current.gain.value = volume / 100;
+  }, [volume]);
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      releaseWakeLock();
+      if (clockRef.current) clockRef.current.stop();
+      if (audioCtxRef.current) audioCtxRef.current.close();
+      midiClock.stop();
+      saveSessionLog(sessionLogRef.current);
+    };
+  }, [midiClock]);
+
+  // IOI bar visualization data
+  const baseIOI = 60 / bpm;
+  const recentIOIs = ioiHistory.slice(-32);
+
+  return (
+    <div className="flex flex-col gap-3">
+      <Transport
+        isPlaying={isPlaying}
+        onToggle={togglePlayback}
+        bpm={bpm}
+        onBpmChange={setBpm}
+        volume={volume}
+        onVolumeChange={setVolume}
+        accentColor={ACCENT}
+        subdivision={subdivision}
+        onSubdivisionChange={setSubdivision}
+        refClick={refClick}
+        onRefClickChange={setRefClick}
+        tempoPresets={tempoButtons(presets.library)}
+        feelSuggestion={{
+          label: 'drift',
+          fromCV: cv => Math.min(5, Math.round(cv * 10) / 10),
+          format: v => `${v.toFixed(1)}%`,
+          apply: setDrift,
+        }}
+      />
+
+      <BeatIndicator
+        currentBeat={currentBeat}
+        beatsPerBar={meter.beats}
+        accents={meter.accents}
+        grouping={meter.grouping}
+        accentColor={ACCENT}
+      />
+      <MeterEditor meter={meter} onChange={setMeter} accentColor={ACCENT} />
+      {subdivision > 1 && (
+        <GrooveEditor groove={groove} onChange={setGroove} subdivision={subdivision} accentColor={ACCENT} />
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+        <Slider
+          label="Drift (CV%)"
+          min={0} max={5} step={0.1}
+          value={drift}
+          onChange={setDrift}
+          display={`${drift.toFixed(1)}%`}
+          accentColor={ACCENT}
+        />
+        <div className="text-xs text-gray-500 ml-26 pl-1">
+          ±{(bpm * drift / 100).toFixed(1)} BPM → {(bpm - bpm * drift / 100).toFixed(0)}–{(bpm + bpm * drift / 100).toFixed(0)} range
+        </div>
+        <Slider
+          label="Color (β)"
+          min={0} max={2} step={0.05}
+          value={color}
+          onChange={setColor}
+          display={color < 0.4 ? 'White' : color < 1.4 ? 'Pink' : 'Brown'}
+          accentColor={ACCENT}
+        />
+        <SeedControl
+          seed={seed}
+          onSeedChange={setSeed}
+          autoSeed={autoSeed}
+          onAutoSeedChange={setAutoSeed}
+          accentColor={ACCENT}
+        />
+      </div>
+
+      <PresetPanel engine="fractal" presets={presets} config={currentConfig} onRecall={applyConfig} accentColor={ACCENT} />
+      <RoutinePanel engine="fractal" presets={presets} isPlaying={isPlaying} progress={routineProgress} onRun={startPlayback} accentColor={ACCENT} />
+
+      {/* IOI Bar Visualization */}
+      <div className="bg-gray-800 rounded-lg p-3">
+        <div className="text-xs text-gray-400 mb-2">IOI History (last 32 beats)</div>
+        <div className="flex items-end gap-px h-20">
+          {recentIOIs.length === 0 ? (
+            <div className="text-xs text-gray-600 flex items-center justify-center w-full h-full">
+              Press play to begin
+            </div>
+          ) : (
+            recentIOIs.map((ioi, i) => {
+              const ratio = ioi / baseIOI;
+              const height = Math.max(5, Math.min(100, ratio * 50));
+              const deviation = Math.abs(ratio - 1);
+              const opacity = Math.min(1, 0.3 + deviation * 10);
+              const isLast = i === recentIOIs.length - 1;
+              return (
+                <div
+                  key={i}
+                  className="flex-1 rounded-sm transition-all duration-75"
+                  style={{
+                    height: `${height}%`,
+                    backgroundColor: ACCENT,
+                    opacity: isLast ? 1 : opacity,
+                    boxShadow: isLast ? `0 0 6px ${ACCENT}` : 'none',
+                  }}
+                />
+              );
+            })
+          )}
+        </div>
+        <div className="flex justify-between text-xs text-gray-600 mt-1">
+          <span>Slower ↑</span>
+          <span>Base IOI: {(baseIOI * 1000).toFixed(0)}ms</span>
+          <span>↓ Faster</span>
         </div>
       </div>
 
-      <div className="flex items-center gap-3">
-        {/* Subdivision selector */}
+      <MetricsPanel ioiHistory={ioiHistory} baseBPM={bpm} sessionStart={sessionStart} accentColor={ACCENT} />
+      <SessionExportBar getRecord={getSessionRecord} disabled={!sessionStart} />
+
+      {/* CV of last 64 beats */}
+      {ioiHistory.length > 4 && (() => {
+        const recent = ioiHistory.slice(-64);
+        const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
+        const sd = Math.sqrt(recent.reduce((s, v) => s + (v - mean) ** 2, 0) / recent.length);
+        const cv = ((sd / mean) * 100).toFixed(2);
+        return (
+          <div className="text-center text-xs text-gray-400">
+            Measured CV: <span style={{ color: ACCENT }}>{cv}%</span> (target: {drift.toFixed(1)}%)
+          </div>
+        );
+      })()}
+
+      <AnalysisPanel getSeries={getAnalysisSeries} targetBeta={color} accentColor={ACCENT} />
+
+      <RenderPanel onRender={renderTrack} accentColor={ACCENT} />
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Wing–Kristofferson Two-Level Metronome
+// ═══════════════════════════════════════════════════════════════════════
+function WKMetronome({ midiClock, clickKit, drums, config, onConfigChange, presets }) {
+  const ACCENT = '#f43f5e';
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [bpm, setBpm] = useState(config.bpm);
+  const [volume, setVolume] = useState(80);
+  const [clockSD, setClockSD] = useState(config.clockSD);
+  const [motorSD, setMotorSD] = useState(config.motorSD);
+  const [clockNoise, setClockNoise] = useState(config.clockNoise);
+  const [subdivision, setSubdivision] = useState(config.subdivision);
+  const [groove, setGroove] = useState(config.groove);
+  const [refClick, setRefClick] = useState(config.refClick);
+  const [meter, setMeter] = useState(config.meter);
+  const [seed, setSeed] = useState(() => config.seed ?? randomSeed());
+  const [autoSeed, setAutoSeed] = useState(config.seed === null);
+  const [currentBeat, setCurrentBeat] = useState(-1);
+  const display = useAudibleUpdates();
+  const [ioiHistory, setIoiHistory] = useState([]);
+  const [sessionStart, setSessionStart] = useState(null);
+  const [routineProgress, setRoutineProgress] = useState(null);
+
+  const audioCtxRef = useRef(null);
+  const gainRef = useRef(null);
+  const refGainRef = useRef(null);
+  const clockRef = useRef(null);
+  const prevBeatTimeRef = useRef(0);
+  const beatCountRef = useRef(0);
+  const timekeeperRef = useRef(new WingKristoffersonTimekeeper());
+  const ioiBufferRef = useRef([]);
+  const sessionLogRef = useRef(null);
+  const routineRef = useRef(null);
+
+  // Keep params in refs so the scheduler sees latest values
+  const bpmRef = useRef(bpm);
+  const clockSDRef = useRef(clockSD);
+  const motorSDRef = useRef(motorSD);
+  const clockNoiseRef = useRef(clockNoise);
+  const subdivRef = useRef(subdivision);
+  const refClickRef = useRef(refClick);
+  useEffect(() => { bpmRef.current = bpm; }, [bpm]);
+  useEffect(() => { clockSDRef.current = clockSD; }, [clockSD]);
+  useEffect(() => { motorSDRef.current = motorSD; }, [motorSD]);
+  useEffect(() => { clockNoiseRef.current = clockNoise; }, [clockNoise]);
+  useEffect(() => { subdivRef.current = subdivision; }, [subdivision]);
+  const grooveRef = useRef(groove);
+  useEffect(() => { grooveRef.current = groove; }, [groove]);
+  useEffect(() => { refClickRef.current = refClick; }, [refClick]);
+  const meterRef = useRef(meter);
+  useEffect(() => { meterRef.current = meter; }, [meter]);
+
+  // Engine settings as recorded with each session
+  const params = useMemo(() => ({ bpm, clockSD, motorSD, clockNoise, subdivision, groove, refClick, meter, seed }),
+    [bpm, clockSD, motorSD, clockNoise, subdivision, groove, refClick, meter, seed]);
+  const paramsRef = useRef(params);
+  useEffect(() => {
+    paramsRef.current = params;
+    if (sessionLogRef.current && audioCtxRef.current) {
+      sessionLogRef.current.noteParams(audioCtxRef.current.currentTime, params);
+    }
+  }, [params]);
+
+  // Settings for the URL and remounts: the seed only counts once the user has fixed one
+  const currentConfig = useMemo(() => ({ ...params, seed: autoSeed ? null : seed }), [params, autoSeed, seed]);
+
+  // Report settings up so the URL and remounts keep them, and the shown seed for shared links
+  useEffect(() => {
+    onConfigChange('wk', currentConfig, seed);
+  }, [onConfigChange, currentConfig, seed]);
+
+  // Routine values go straight into the refs the scheduler reads, then into state for the controls
+  const applyAutomation = useCallback((values) => {
+    const targets = { bpm: [bpmRef, setBpm], clockSD: [clockSDRef, setClockSD], motorSD: [motorSDRef, setMotorSD] };
+    for (const [param, value] of Object.entries(values)) {
+      targets[param][0].current = value;
+      targets[param][1](value);
+    }
+  }, []);
+
+  const getNextIOI = useCallback(() => {
+    return timekeeperRef.current.nextIOI(bpmRef.current, clockSDRef.current, motorSDRef.current, clockNoiseRef.current);
+  }, []);
+
+  const startPlayback = useCallback((routine = null) => {
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const gain = ctx.createGain();
+    gain.gain.value = volume / 100;
+    gain.connect(ctx.destination);
+    const refGain = ctx.createGain();
+    refGain.gain.value = volume / 100;
+    refGain.connect(ctx.destination);
+    audioCtxRef.current = ctx;
+    gainRef.current = gain;
+    refGainRef.current = refGain;
+
+    const runSeed = autoSeed ? randomSeed() : seed;
+    if (autoSeed) setSeed(runSeed);
+    timekeeperRef.current = new WingKristoffersonTimekeeper(createRng(runSeed));
+    beatCountRef.current = 0;
+    ioiBufferRef.current = [];
+    sessionLogRef.current = new SessionLog('wk', { ...paramsRef.current, seed: runSeed });
+    routineRef.current = routine && new RoutineRunner(routine, ROUTINE_PARAMS.wk,
+      { bpm: bpmRef.current, clockSD: clockSDRef.current, motorSD: motorSDRef.current });
+    setRoutineProgress(null);
+    setIoiHistory([]);
+    setSessionStart(Date.now());
+
+    // Each modulating beat answers the clock with the IOI to the one after it
+    const playBeat = (beatTime) => {
+      const beatNum = beatCountRef.current;
+
+      // Record IOI
+      if (beatNum > 0) {
+        const ioi = beatTime - prevBeatTimeRef.current;
+        ioiBufferRef.current.push(ioi);
+        if (ioiBufferRef.current.length > 256) ioiBufferRef.current.shift();
+        setIoiHistory([...ioiBufferRef.current]);
+      }
+
+      // Routine automation lands on the bar line, before the next IOI is drawn
+      if (routineRef.current && beatNum % meterRef.current.beats === 0) {
+        const values = routineRef.current.bar(beatTime);
+        if (values) applyAutomation(values);
+        setRoutineProgress(routineRef.current.progress());
+      }
+
+      // Schedule the beat and its subdivision clicks
+      const nextIOI = getNextIOI();
+      const clickTimes = scheduleBeat(ctx, beatTime, beatAccent(meterRef.current, beatNum), nextIOI,
+        subdivRef.current, grooveRef.current, gainRef.current, clickKit);
+      drums.beat(ctx, beatTime, beatNum % meterRef.current.beats, nextIOI, subdivRef.current, grooveRef.current, gainRef.current);
+      sessionLogRef.current.addBeat(beatTime, beatNum % meterRef.current.beats === 0, clickTimes.slice(1));
+      midiClock.beat(ctx, beatTime, nextIOI);
+
+      // Light the beat dot when the beat is heard
+      const barPos = beatNum % meterRef.current.beats;
+      display.at(beatTime, () => setCurrentBeat(barPos));
+
+      prevBeatTimeRef.current = beatTime;
+      beatCountRef.current++;
+      clock.pushIOI('beat', nextIOI);
+    };
+
+    // Steady reference beats keep counting while muted, so switching them back on lands on the grid
+    const playRefBeat = (refTime, refNum) => {
+      if (refClickRef.current) {
+        scheduleRefClick(ctx, refTime, beatAccent(meterRef.current, refNum), refGainRef.current, clickKit);
+      }
+      clock.pushIOI('ref', 60.0 / bpmRef.current);
+    };
+
+    const clock = new BeatClock(ctx, {
+      onBeat: (track, index, time) => {
+        if (track === 'beat') playBeat(time);
+        else playRefBeat(time, index);
+      },
+    });
+    clock.addTrack('beat');
+    clock.addTrack('ref');
+    clockRef.current = clock;
+    display.start(ctx);
+    requestWakeLock();
+    setIsPlaying(true);
+  }, [display, volume, getNextIOI, applyAutomation, midiClock, clickKit, drums, seed, autoSeed]);
+
+  const stopPlayback = useCallback(() => {
+    if (clockRef.current) clockRef.current.stop();
+    clockRef.current = null;
+    display.stop();
+    if (audioCtxRef.current) {
+      audioCtxRef.current.close();
+      audioCtxRef.current = null;
+    }
+    midiClock.stop();
+    saveSessionLog(sessionLogRef.current);
+    routineRef.current = null;
+    releaseWakeLock();
+    setIsPlaying(false);
+    setCurrentBeat(-1);
+  }, [display, midiClock]);
+
+  // Offline bounce with a fresh timekeeper and the current settings
+  const renderTrack = useCallback(async ({ length, unit, refMode, format }) => {
+    const timekeeper = new WingKristoffersonTimekeeper(createRng(seed));
+    const files = await renderClickTrack({
+      nextIOI: () => timekeeper.nextIOI(bpm, clockSD, motorSD, clockNoise),
+      subdivIOI: (prevIOI, nextIOI) => nextIOI,
+      bpm, subdivision, groove, meter, kit: clickKit, drums, volume, length, unit, refMode, format,
+    });
+    files.forEach(f => downloadBlob(f.blob, `two-level-${bpm}bpm-${length}${unit}-${f.suffix}.${f.ext}`));
+  }, [bpm, clockSD, motorSD, clockNoise, subdivision, groove, meter, clickKit, drums, volume, seed]);
+
+  const getSessionRecord = useCallback(() => {
+    return sessionLogRef.current ? sessionLogRef.current.toRecord() : null;
+  }, []);
+
+  // Live beats plus a long offline run of a fresh timekeeper
+  const getAnalysisSeries = useCallback(() => {
+    const timekeeper = new WingKristoffersonTimekeeper(createRng(seed));
+    return [
+      { label: 'Live IOIs', values: beatIntervals(sessionLogRef.current) },
+      { label: 'Engine test', values: Array.from({ length: 4096 }, () => timekeeper.nextIOI(bpm, clockSD, motorSD, clockNoise)) },
+    ];
+  }, [bpm, clockSD, motorSD, clockNoise, seed]);
+
+  const applyConfig = useCallback((c) => {
+    setBpm(c.bpm);
+    setClockSD(c.clockSD);
+    setMotorSD(c.motorSD);
+    setClockNoise(c.clockNoise);
+    setSubdivision(c.subdivision);
+    setGroove(c.groove || DEFAULT_GROOVE);
+    setRefClick(c.refClick);
+    setMeter(c.meter || DEFAULT_METER);
+    if (c.seed !== null && c.seed !== undefined) setSeed(c.seed);
+    setAutoSeed(c.seed === null || c.seed === undefined);
+  }, []);
+
+  const togglePlayback = useCallback(() => {
+    if (isPlaying) stopPlayback();
+    else startPlayback();
+  }, [isPlaying, startPlayback, stopPlayback]);
+
+  // Update gain in real time
+  useEffect(() => {
+    if (gainRef.current) gainRef.current.gain.value = volume / 100;
+    if (refGainRef.current) refGainRef.current.gain.value = volume / 100;
+  }, [volume]);
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      releaseWakeLock();
+      if (clockRef.current) clockRef.current.stop();
+      if (audioCtxRef.current) audioCtxRef.current.close();
+      midiClock.stop();
+      saveSessionLog(sessionLogRef.current);
+    };
+  }, [midiClock]);
+
+  // IOI bar visualization data
+  const baseIOI = 60 / bpm;
+  const recentIOIs = ioiHistory.slice(-32);
+
+  return (
+    <div className="flex flex-col gap-3">
+      <Transport
+        isPlaying={isPlaying}
+        onToggle={togglePlayback}
+        bpm={bpm}
+        onBpmChange={setBpm}
+        volume={volume}
+        onVolumeChange={setVolume}
+        accentColor={ACCENT}
+        subdivision={subdivision}
+        onSubdivisionChange={setSubdivision}
+        refClick={refClick}
+        onRefClickChange={setRefClick}
+        tempoPresets={tempoButtons(presets.library)}
+      />
+
+      <BeatIndicator
+        currentBeat={currentBeat}
+        beatsPerBar={meter.beats}
+        accents={meter.accents}
+        grouping={meter.grouping}
+        accentColor={ACCENT}
+      />
+      <MeterEditor meter={meter} onChange={setMeter} accentColor={ACCENT} />
+      {subdivision > 1 && (
+        <GrooveEditor groove={groove} onChange={setGroove} subdivision={subdivision} accentColor={ACCENT} />
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-4 space-y-3">
         <div className="flex items-center gap-1">
-          <label className="text-xs text-gray-400 mr-1">Notes</label>
-          {SUBDIV_OPTIONS.map(s => (
+          <label className="text-xs text-gray-400 w-24 shrink-0">Clock noise</label>
+          {WK_NOISES.map(n => (
             <button
-              key={s.value}
-              onClick={() => onSubdivisionChange(s.value)}
+              key={n.id}
+              onClick={() => setClockNoise(n.id)}
               className="px-2 py-0.5 text-xs rounded cursor-pointer transition-colors"
-              title={s.desc}
               style={{
-                backgroundColor: subdivision === s.value ? accentColor : '#374151',
-                color: subdivision === s.value ? '#111' : '#9CA3AF',
+                backgroundColor: clockNoise === n.id ? ACCENT : '#374151',
+                color: clockNoise === n.id ? '#111' : '#9CA3AF',
               }}
             >
-              {s.label}
+              {n.label}
             </button>
           ))}
         </div>
-
-        {/* Reference click toggle */}
-        <button
-          onClick={() => onRefClickChange(!refClick)}
-          className="flex items-center gap-1.5 px-2.5 py-0.5 text-xs rounded cursor-pointer transition-colors ml-auto"
-          style={{
-            backgroundColor: refClick ? accentColor : '#374151',
-            color: refClick ? '#111' : '#9CA3AF',
-          }}
-        >
-          <span className="text-base leading-none">◈</span> Steady ref
-        </button>
+        <Slider
+          label="Clock SD"
+          min={0} max={5} step={0.1}
+          value={clockSD}
+          onChange={setClockSD}
+          display={`${clockSD.toFixed(1)}%`}
+          accentColor={ACCENT}
+        />
+        <Slider
+          label="Motor SD"
+          min={0} max={30} step={1}
+          value={motorSD}
+          onChange={setMotorSD}
+          display={`${motorSD}ms`}
+          accentColor={ACCENT}
+        />
+        <div className="text-xs text-gray-500 ml-26 pl-1">
+          Expected lag-1 autocorrelation with a white clock: {wkLag1(60 / bpm, clockSD, motorSD).toFixed(2)}
+        </div>
+        <SeedControl
+          seed={seed}
+          onSeedChange={setSeed}
+          autoSeed={autoSeed}
+          onAutoSeedChange={setAutoSeed}
+          accentColor={ACCENT}
+        />
       </div>
-    </div>
-  );
-}
 
-// ─── Component: Metrics Panel ───────────────────────────────────────────
-function MetricsPanel({ ioiHistory, baseBPM, sessionStart, accentColor }) {
-  const lastIOI = ioiHistory.length > 0 ? ioiHistory[ioiHistory.length - 1] : 60 / baseBPM;
-  const currentBPM = lastIOI > 0 ? (60 / lastIOI).toFixed(1) : baseBPM.toFixed(1);
-  const deviation = (((lastIOI - 60 / baseBPM) / (60 / baseBPM)) * 100).toFixed(2);
+      <PresetPanel engine="wk" presets={presets} config={currentConfig} onRecall={applyConfig} accentColor={ACCENT} />
+      <RoutinePanel engine="wk" presets={presets} isPlaying={isPlaying} progress={routineProgress} onRun={startPlayback} accentColor={ACCENT} />
 
-  const recent = ioiHistory.slice(-64);
-  let sd = 0;
-  if (recent.length > 1) {
-    const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
-    sd = Math.sqrt(recent.reduce((sum, v) => sum + (v - mean) ** 2, 0) / recent.length);
-  }
-  const sdMs = (sd * 1000).toFixed(1);
+      {/* IOI Bar Visualization */}
+      <div className="bg-gray-800 rounded-lg p-3">
+        <div className="text-xs text-gray-400 mb-2">IOI History (last 32 beats)</div>
+        <div className="flex items-end gap-px h-20">
+          {recentIOIs.length === 0 ? (
+            <div className="text-xs text-gray-600 flex items-center justify-center w-full h-full">
+              Press play to begin
+            </div>
+          ) : (
+            recentIOIs.map((ioi, i) => {
+              const ratio = ioi / baseIOI;
+              const height = Math.max(5, Math.min(100, ratio * 50));
+              const deviation = Math.abs(ratio - 1);
+              const opacity = Math.min(1, 0.3 + deviation * 10);
+              const isLast = i === recentIOIs.length - 1;
+              return (
+                <div
+                  key={i}
+                  className="flex-1 rounded-sm transition-all duration-75"
+                  style={{
+                    height: `${height}%`,
+                    backgroundColor: ACCENT,
+                    opacity: isLast ? 1 : opacity,
+                    boxShadow: isLast ? `0 0 6px ${ACCENT}` : 'none',
+                  }}
+                />
+              );
+            })
+          )}
+        </div>
+        <div className="flex justify-between text-xs text-gray-600 mt-1">
+          <span>Slower ↑</span>
+          <span>Base IOI: {(baseIOI * 1000).toFixed(0)}ms</span>
+          <span>↓ Faster</span>
+        </div>
+      </div>
 
-  const elapsed = sessionStart ? Math.floor((Date.now() - sessionStart) / 1000) : 0;
-  const mm = String(Math.floor(elapsed / 60)).padStart(2, '0');
-  const ss = String(elapsed % 60).padStart(2, '0');
+      <MetricsPanel ioiHistory={ioiHistory} baseBPM={bpm} sessionStart={sessionStart} accentColor={ACCENT} />
+      <SessionExportBar getRecord={getSessionRecord} disabled={!sessionStart} />
 
-  return (
-    <div className="flex gap-4 text-xs font-mono text-gray-400 justify-center mt-2">
-      <span>IOI: <span style={{ color: accentColor }}>{(lastIOI * 1000).toFixed(0)}ms</span></span>
-      <span>BPM: <span style={{ color: accentColor }}>{currentBPM}</span></span>
-      <span>SD: <span style={{ color: accentColor }}>{sdMs}ms</span></span>
-      <span>Dev: <span style={{ color: accentColor }}>{deviation}%</span></span>
-      <span>Time: <span style={{ color: accentColor }}>{mm}:{ss}</span></span>
-    </div>
-  );
-}
+      {/* CV and lag-1 autocorrelation of the last 64 beats */}
+      {ioiHistory.length > 4 && (() => {
+        const recent = ioiHistory.slice(-64);
+        const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
+        const sd = Math.sqrt(recent.reduce((s, v) => s + (v - mean) ** 2, 0) / recent.length);
+        const cv = ((sd / mean) * 100).toFixed(2);
+        return (
+          <div className="text-center text-xs text-gray-400">
+            Measured CV: <span style={{ color: ACCENT }}>{cv}%</span>
+            {' · '}Lag-1 autocorrelation: <span style={{ color: ACCENT }}>{lag1Autocorrelation(recent).toFixed(2)}</span>
+          </div>
+        );
+      })()}
 
-// ─── Slider Component ───────────────────────────────────────────────────
-function Slider({ label, min, max, step, value, onChange, display, accentColor }) {
-  return (
-    <div className="flex items-center gap-2">
-      <label className="text-xs text-gray-400 w-24 shrink-0">{label}</label>
-      <input
-        type="range"
-        min={min}
-        max={max}
-        step={step}
-        value={value}
-        onChange={e => onChange(Number(e.target.value))}
-        className="flex-1 accent-current"
-        style={{ color: accentColor }}
-      />
-      <span className="text-xs font-mono w-16 text-right" style={{ color: accentColor }}>
-        {display}
-      </span>
+      <AnalysisPanel getSeries={getAnalysisSeries} accentColor={ACCENT} />
+
+      <RenderPanel onRender={renderTrack} accentColor={ACCENT} />
     </div>
   );
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-// 1/f Fractal Metronome
+// Kuramoto Ensemble Metronome
 // ═══════════════════════════════════════════════════════════════════════
-function FractalMetronome() {
-  const ACCENT = '#14b8a6';
+function KuramotoMetronome({ midiClock, clickKit, drums, config, onConfigChange, presets }) {
+  const ACCENT = '#8b5cf6';
   const [isPlaying, setIsPlaying] = useState(false);
-  const [bpm, setBpm] = useState(125);
+  const [bpm, setBpm] = useState(config.bpm);
   const [volume, setVolume] = useState(80);
-  const [drift, setDrift] = useState(2);
-  const [color, setColor] = useState(1.0);
-  const [subdivision, setSubdivision] = useState(1);
-  const [refClick, setRefClick] = useState(false);
+  const [ensembleSize, setEnsembleSize] = useState(config.ensembleSize);
+  const [coupling, setCoupling] = useState(config.coupling);
+  const [spread, setSpread] = useState(config.spread);
+  const [frustration, setFrustration] = useState(config.frustration);
+  const [playerCoupling, setPlayerCoupling] = useState(config.playerCoupling);
+  const [network, setNetwork] = useState(config.network);
+  const [voices, setVoices] = useState(config.voices);
+  const [voiceLevel, setVoiceLevel] = useState(config.voiceLevel);
+  const [showAdvanced, setShowAdvanced] = useState(config.frustration !== 0);
+  const [subdivision, setSubdivision] = useState(config.subdivision);
+  const [groove, setGroove] = useState(config.groove);
+  const [refClick, setRefClick] = useState(config.refClick);
+  const [meter, setMeter] = useState(config.meter);
+  const [seed, setSeed] = useState(() => config.seed ?? randomSeed());
+  const [autoSeed, setAutoSeed] = useState(config.seed === null);
   const [currentBeat, setCurrentBeat] = useState(-1);
+  const display = useAudibleUpdates();
   const [ioiHistory, setIoiHistory] = useState([]);
   const [sessionStart, setSessionStart] = useState(null);
+  const [routineProgress, setRoutineProgress] = useState(null);
+  const [orderR, setOrderR] = useState(0);
+  const [psi, setPsi] = useState(0);
+  const [phases, setPhases] = useState([]);
+  const [playerPhase, setPlayerPhase] = useState(null);
+  const [relPhases, setRelPhases] = useState([]); // player phase − ψ at each tap, degrees
 
   const audioCtxRef = useRef(null);
   const gainRef = useRef(null);
   const refGainRef = useRef(null);
-  const timerRef = useRef(null);
-  const nextBeatTimeRef = useRef(0);
-  const prevBeatTimeRef = useRef(0);
+  const voiceGainRef = useRef(null);
+  const clockRef = useRef(null);
+  const animFrameRef = useRef(null);
+  const workerRef = useRef(null);
+  const beatQueueRef = useRef([]);     // [{ time, ioi, r }] from the worker, released to the clock
+  const snapshotQueueRef = useRef([]); // [{ time, phases, r, psi, playerPhase }] from the worker
+  const playerRef = useRef(null);
+  const scheduledBeatsRef = useRef([]);
+  const relPhaseBufferRef = useRef([]);
   const beatCountRef = useRef(0);
-  const pinkNoiseRef = useRef(new PinkNoise(7));
-  const smoothedRef = useRef(0);
+  const prevBeatTimeRef = useRef(0);
   const ioiBufferRef = useRef([]);
-  const nextRefBeatTimeRef = useRef(0);
-  const refBeatCountRef = useRef(0);
+  const sessionLogRef = useRef(null);
+  const workerSettingsRef = useRef(null);
+  const isPlayingRef = useRef(false);
 
-  // Keep params in refs so the scheduler sees latest values
   const bpmRef = useRef(bpm);
-  const driftRef = useRef(drift);
-  const colorRef = useRef(color);
+  const ensembleSizeRef = useRef(ensembleSize);
+  const couplingRef = useRef(coupling);
+  const spreadRef = useRef(spread);
+  const frustrationRef = useRef(frustration);
+  const voicesRef = useRef(voices);
+  useEffect(() => { voicesRef.current = voices; }, [voices]);
   const subdivRef = useRef(subdivision);
   const refClickRef = useRef(refClick);
   useEffect(() => { bpmRef.current = bpm; }, [bpm]);
-  useEffect(() => { driftRef.current = drift; }, [drift]);
-  useEffect(() => { colorRef.current = color; }, [color]);
+  useEffect(() => { ensembleSizeRef.current = ensembleSize; }, [ensembleSize]);
+  useEffect(() => { couplingRef.current = coupling; }, [coupling]);
+  useEffect(() => { spreadRef.current = spread; }, [spread]);
+  useEffect(() => { frustrationRef.current = frustration; }, [frustration]);
   useEffect(() => { subdivRef.current = subdivision; }, [subdivision]);
+  const grooveRef = useRef(groove);
+  useEffect(() => { grooveRef.current = groove; }, [groove]);
   useEffect(() => { refClickRef.current = refClick; }, [refClick]);
+  const meterRef = useRef(meter);
+  useEffect(() => { meterRef.current = meter; }, [meter]);
 
-  const getNextIOI = useCallback(() => {
-    const baseIOI = 60.0 / bpmRef.current;
-    let sample = pinkNoiseRef.current.next();
-    const beta = colorRef.current;
+  // Engine settings as recorded with each session
+  const params = useMemo(() => ({ bpm, ensembleSize, coupling, spread, frustration, playerCoupling, network, voices, voiceLevel, subdivision, groove, refClick, meter, seed }),
+    [bpm, ensembleSize, coupling, spread, frustration, playerCoupling, network, voices, voiceLevel, subdivision, groove, refClick, meter, seed]);
+  const paramsRef = useRef(params);
+  useEffect(() => {
+    paramsRef.current = params;
+    if (sessionLogRef.current && audioCtxRef.current) {
+      sessionLogRef.current.noteParams(audioCtxRef.current.currentTime, params);
+    }
+  }, [params]);
 
-    // White-pink-brown blending
-    if (beta < 1) {
-      const white = Math.random() * 2 - 1;
-      sample = sample * beta + white * (1 - beta);
-    } else if (beta > 1) {
-      const alpha = Math.pow(2, -(beta - 1));
-      smoothedRef.current = smoothedRef.current * (1 - alpha) + sample * alpha;
-      sample = smoothedRef.current;
+  // Settings for the URL and remounts: the seed only counts once the user has fixed one
+  const currentConfig = useMemo(() => ({ ...params, seed: autoSeed ? null : seed }), [params, autoSeed, seed]);
+
+  // Report settings up so the URL and remounts keep them, and the shown seed for shared links
+  useEffect(() => {
+    onConfigChange('kuramoto', currentConfig, seed);
+  }, [onConfigChange, currentConfig, seed]);
+
+  // Setting changes while playing go to the simulation in the worker. Only what it doesn't already
+  // have is sent, so routine values it applied itself aren't posted back over a later bar's.
+  useEffect(() => {
+    const sent = workerSettingsRef.current;
+    if (!workerRef.current || !sent) return;
+    const current = { ensembleSize, bpm, spread, coupling, frustration };
+    const changes = Object.fromEntries(Object.entries(current).filter(([key, value]) => sent[key] !== value));
+    if (Object.keys(changes).length === 0) return;
+    Object.assign(sent, changes);
+    workerRef.current.postMessage({ type: 'settings', settings: changes });
+  }, [ensembleSize, bpm, spread, coupling, frustration]);
+
+  useEffect(() => {
+    if (workerRef.current) workerRef.current.postMessage({ type: 'meter', beats: meter.beats });
+  }, [meter]);
+
+  useEffect(() => {
+    if (workerRef.current) workerRef.current.postMessage({ type: 'playerCoupling', coupling: playerCoupling });
+  }, [playerCoupling]);
+
+  useEffect(() => {
+    if (workerRef.current) workerRef.current.postMessage({ type: 'network', network });
+  }, [network]);
+
+  useEffect(() => {
+    if (workerRef.current) workerRef.current.postMessage({ type: 'wraps', enabled: voices > 0 });
+  }, [voices]);
+
+  // Taps drive the player oscillator; their phase against ψ is the offset from the nearest beat
+  const handleOnset = useCallback((tapTime) => {
+    if (!audioCtxRef.current || !isPlayingRef.current) return;
+    playerRef.current.tap(tapTime);
+    workerRef.current.postMessage({ type: 'player', ...playerRef.current.snapshot() });
+
+    const beats = scheduledBeatsRef.current;
+    if (beats.length === 0) return;
+    const nearestBeat = beats.reduce((best, b) => (Math.abs(tapTime - b) < Math.abs(tapTime - best) ? b : best));
+    sessionLogRef.current.addTap({ scheduled: nearestBeat, tap: tapTime, async: (tapTime - nearestBeat) * 1000 });
+
+    const beatIOI = ioiBufferRef.current[ioiBufferRef.current.length - 1] ?? 60.0 / bpmRef.current;
+    relPhaseBufferRef.current.push(((tapTime - nearestBeat) / beatIOI) * 360);
+    if (relPhaseBufferRef.current.length > 32) relPhaseBufferRef.current.shift();
+    setRelPhases([...relPhaseBufferRef.current]);
+  }, []);
+
+  const handleTap = useCallback(() => {
+    if (audioCtxRef.current) handleOnset(audioCtxRef.current.currentTime);
+  }, [handleOnset]);
+
+  const audioInput = useAudioOnsetInput(audioCtxRef, isPlaying, handleOnset);
+  const midiInput = useMidiOnsetInput(audioCtxRef, isPlaying, handleOnset);
+  useKeyTap(audioCtxRef, isPlaying, handleOnset);
+  const { markClick } = audioInput;
+
+  // The worker applies routine values at the bar line; when that bar plays they go into the refs
+  // and into state for the controls
+  const applyAutomation = useCallback((values) => {
+    const targets = { bpm: [bpmRef, setBpm], coupling: [couplingRef, setCoupling], spread: [spreadRef, setSpread] };
+    for (const [param, value] of Object.entries(values)) {
+      targets[param][0].current = value;
+      targets[param][1](value);
     }
-
-    const cv = driftRef.current / 100;
-    return baseIOI * (1 + sample * cv);
+    if (workerSettingsRef.current) Object.assign(workerSettingsRef.current, values);
   }, []);
 
-  const startPlayback = useCallback(() => {
+  const startPlayback = useCallback((routine = null) => {
     const ctx = new (window.AudioContext || window.webkitAudioContext)();
     const gain = ctx.createGain();
     gain.gain.value = volume / 100;
@@ -442,88 +4839,225 @@ function FractalMetronome() {
     const refGain = ctx.createGain();
     refGain.gain.value = volume / 100;
     refGain.connect(ctx.destination);
+    const voiceGain = ctx.createGain();
+    voiceGain.gain.value = voiceLevel / 100;
+    voiceGain.connect(gain);
     audioCtxRef.current = ctx;
     gainRef.current = gain;
     refGainRef.current = refGain;
+    voiceGainRef.current = voiceGain;
+
+    const runSeed = autoSeed ? randomSeed() : seed;
+    if (autoSeed) setSeed(runSeed);
+    playerRef.current = new PlayerOscillator();
+    beatQueueRef.current = [];
+    snapshotQueueRef.current = [];
+    workerSettingsRef.current = { ensembleSize, bpm, spread, coupling, frustration };
+
+    // The worker streams beats, wraps and circle snapshots, all stamped in AudioContext time
+    let lastBeat = null;
+    const worker = new Worker(new URL('./kuramoto.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    worker.onmessage = (e) => {
+      const { beats, wraps, snapshots } = e.data;
+      const ctx = audioCtxRef.current;
+
+      // Frames already played are only needed until the next one is; without this the queue
+      // would grow for as long as a background tab pauses the animation loop
+      const frames = snapshotQueueRef.current;
+      frames.push(...snapshots);
+      while (ctx && frames.length > 1 && frames[1].time <= ctx.currentTime) frames.shift();
+
+      // A beat is released to the clock once the one after it is known, so it plays with its IOI at hand
+      for (const beat of beats) {
+        if (lastBeat) clock.pushIOI('beat', lastBeat.ioi);
+        else clock.addTrack('beat', beat.time);
+        lastBeat = beat;
+        beatQueueRef.current.push(beat);
+      }
+
+      // Each audible player clicks where its own phase wraps
+      if (!ctx || voicesRef.current === 0) return;
+      const count = ensembleSizeRef.current;
+      const audible = audibleVoices(count, voicesRef.current);
+      for (const wrap of wraps) {
+        if (!audible.has(wrap.index) || wrap.time < ctx.currentTime) continue;
+        scheduleVoiceClick(ctx, wrap.time, ensembleVoice(wrap.index, count), voiceGainRef.current);
+        markClick(wrap.time);
+      }
+    };
 
-    pinkNoiseRef.current.reset();
-    smoothedRef.current = 0;
     beatCountRef.current = 0;
-    refBeatCountRef.current = 0;
     ioiBufferRef.current = [];
-    nextBeatTimeRef.current = ctx.currentTime + 0.05;
-    prevBeatTimeRef.current = nextBeatTimeRef.current;
-    nextRefBeatTimeRef.current = ctx.currentTime + 0.05;
+    sessionLogRef.current = new SessionLog('kuramoto', { ...paramsRef.current, seed: runSeed });
+    setRoutineProgress(null);
+    scheduledBeatsRef.current = [];
+    relPhaseBufferRef.current = [];
+    setRelPhases([]);
+    isPlayingRef.current = true;
+
     setIoiHistory([]);
     setSessionStart(Date.now());
 
-    const schedule = () => {
-      const ctx = audioCtxRef.current;
-      if (!ctx) return;
-
-      // Schedule modulating beats
-      while (nextBeatTimeRef.current < ctx.currentTime + SCHEDULE_AHEAD) {
-        const beatTime = nextBeatTimeRef.current;
-        const beatNum = beatCountRef.current;
-        const isDownbeat = beatNum % 4 === 0;
-        scheduleClick(ctx, beatTime, isDownbeat, gainRef.current);
-
-        // Record IOI
-        const currentIOI = beatNum > 0 ? beatTime - prevBeatTimeRef.current : getNextIOI();
-        if (beatNum > 0) {
-          const ioi = beatTime - prevBeatTimeRef.current;
-          ioiBufferRef.current.push(ioi);
-          if (ioiBufferRef.current.length > 256) ioiBufferRef.current.shift();
-          setIoiHistory([...ioiBufferRef.current]);
-        }
+    // Modulating beats as simulated by the worker; the clock's time is the sample-snapped worker time
+    const playBeat = (beatTime) => {
+      const { ioi: nextIOI, r, routine } = beatQueueRef.current.shift();
+      const beatNum = beatCountRef.current;
 
-        // Schedule subdivision clicks within this beat
-        const subdiv = subdivRef.current;
-        const nextIOI = getNextIOI();
-        if (subdiv > 1) {
-          for (let s = 1; s < subdiv; s++) {
-            const subTime = beatTime + (nextIOI * s) / subdiv;
-            scheduleSubdivClick(ctx, subTime, gainRef.current);
-          }
-        }
+      scheduledBeatsRef.current.push(beatTime);
+      if (scheduledBeatsRef.current.length > 32) scheduledBeatsRef.current.shift();
 
-        // Schedule visual update
-        const delay = (beatTime - ctx.currentTime) * 1000;
-        setTimeout(() => setCurrentBeat(beatNum % 4), Math.max(0, delay));
+      if (beatNum > 0) {
+        const ioi = beatTime - prevBeatTimeRef.current;
+        ioiBufferRef.current.push(ioi);
+        if (ioiBufferRef.current.length > 256) ioiBufferRef.current.shift();
+        setIoiHistory([...ioiBufferRef.current]);
+      }
 
-        prevBeatTimeRef.current = beatTime;
-        beatCountRef.current++;
-        nextBeatTimeRef.current += nextIOI;
+      // Bars the worker's routine ran at bring their values and progress
+      if (routine) {
+        if (routine.values) applyAutomation(routine.values);
+        setRoutineProgress(routine.progress);
       }
 
-      // Schedule steady reference beats
+      // Schedule the beat and its subdivision clicks
+      const subdivIOI = beatNum > 0 ? (beatTime - prevBeatTimeRef.current) : nextIOI;
+      const clickTimes = scheduleBeat(ctx, beatTime, beatAccent(meterRef.current, beatNum), subdivIOI,
+        subdivRef.current, grooveRef.current, gainRef.current, clickKit);
+      drums.beat(ctx, beatTime, beatNum % meterRef.current.beats, subdivIOI, subdivRef.current, grooveRef.current, gainRef.current);
+      clickTimes.forEach(markClick);
+      sessionLogRef.current.addBeat(beatTime, beatNum % meterRef.current.beats === 0, clickTimes.slice(1));
+      midiClock.beat(ctx, beatTime, nextIOI);
+      sessionLogRef.current.addOrder(beatTime + nextIOI, r);
+
+      // Light the beat dot when the beat is heard
+      const barPos = beatNum % meterRef.current.beats;
+      display.at(beatTime, () => setCurrentBeat(barPos));
+
+      prevBeatTimeRef.current = beatTime;
+      beatCountRef.current++;
+    };
+
+    // Steady reference beats keep counting while muted, so switching them back on lands on the grid
+    const playRefBeat = (refTime, refNum) => {
       if (refClickRef.current) {
-        const refIOI = 60.0 / bpmRef.current;
-        while (nextRefBeatTimeRef.current < ctx.currentTime + SCHEDULE_AHEAD) {
-          const isDownbeat = refBeatCountRef.current % 4 === 0;
-          scheduleRefClick(ctx, nextRefBeatTimeRef.current, isDownbeat, refGainRef.current);
-          refBeatCountRef.current++;
-          nextRefBeatTimeRef.current += refIOI;
-        }
+        scheduleRefClick(ctx, refTime, beatAccent(meterRef.current, refNum), refGainRef.current, clickKit);
+        markClick(refTime);
+      }
+      clock.pushIOI('ref', 60.0 / bpmRef.current);
+    };
+
+    // Ticks keep the worker simulating ahead of the audio
+    const clock = new BeatClock(ctx, {
+      onBeat: (track, index, time) => {
+        if (track === 'beat') playBeat(time);
+        else playRefBeat(time, index);
+      },
+      onTick: (time) => worker.postMessage({ type: 'tick', now: time }),
+      // The simulation starts with the clock, so its first beat can't already be past
+      onReady: (startTime) => worker.postMessage({
+        type: 'start',
+        startTime,
+        settings: { ensembleSize, bpm, spread, coupling, frustration, seed: runSeed, network, playerCoupling, wraps: voices > 0 },
+        meterBeats: meterRef.current.beats,
+        routine,
+      }),
+    });
+    clock.addTrack('ref');
+    clockRef.current = clock;
+    display.start(ctx);
+
+    // Animation loop: show the latest snapshot that has reached the speakers
+    const animate = (frameTime) => {
+      if (!isPlayingRef.current) return;
+      const heard = performanceToContextTime(audioCtxRef.current, frameTime);
+      const snapshots = snapshotQueueRef.current;
+      let latest = null;
+      while (snapshots.length > 0 && snapshots[0].time <= heard) latest = snapshots.shift();
+      if (latest) {
+        setOrderR(latest.r);
+        setPsi(latest.psi);
+        setPhases(Array.from(latest.phases));
+        setPlayerPhase(latest.playerPhase);
       }
+      animFrameRef.current = requestAnimationFrame(animate);
     };
+    animFrameRef.current = requestAnimationFrame(animate);
 
-    schedule();
-    timerRef.current = setInterval(schedule, TIMER_INTERVAL);
     requestWakeLock();
     setIsPlaying(true);
-  }, [volume, getNextIOI]);
+  }, [display, volume, voiceLevel, voices, bpm, ensembleSize, coupling, spread, frustration, playerCoupling, network, applyAutomation, markClick, midiClock, clickKit, drums, seed, autoSeed]);
 
   const stopPlayback = useCallback(() => {
-    if (timerRef.current) clearInterval(timerRef.current);
-    timerRef.current = null;
+    isPlayingRef.current = false;
+    if (clockRef.current) clockRef.current.stop();
+    clockRef.current = null;
+    display.stop();
+    if (animFrameRef.current) cancelAnimationFrame(animFrameRef.current);
+    animFrameRef.current = null;
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
     if (audioCtxRef.current) {
       audioCtxRef.current.close();
       audioCtxRef.current = null;
     }
+    midiClock.stop();
+    saveSessionLog(sessionLogRef.current);
+    workerSettingsRef.current = null;
     releaseWakeLock();
     setIsPlaying(false);
     setCurrentBeat(-1);
+    setPlayerPhase(null);
+  }, [display, midiClock]);
+
+  // Offline bounce with a fresh, warmed-up ensemble and the current settings; the worker
+  // simulates exactly the beats the render will use, after the lead-in live playback has too
+  const renderTrack = useCallback(async ({ length, unit, refMode, format }) => {
+    checkRenderLength(length, unit);
+    const iois = await simulateKuramotoIOIs({ ensembleSize, bpm, spread, coupling, frustration, seed, network }, {
+      skip: 1,
+      maxBeats: unit === 'bars' ? length * meter.beats : Infinity,
+      duration: unit === 'minutes' ? length * 60 : Infinity,
+    });
+    let beat = 0;
+    const files = await renderClickTrack({
+      nextIOI: () => iois[beat++],
+      subdivIOI: (prevIOI, nextIOI) => prevIOI ?? nextIOI,
+      bpm, subdivision, groove, meter, kit: clickKit, drums, volume, length, unit, refMode, format,
+    });
+    files.forEach(f => downloadBlob(f.blob, `kuramoto-${bpm}bpm-${length}${unit}-${f.suffix}.${f.ext}`));
+  }, [ensembleSize, bpm, spread, coupling, frustration, network, subdivision, groove, meter, clickKit, drums, volume, seed]);
+
+  const getSessionRecord = useCallback(() => {
+    return sessionLogRef.current ? sessionLogRef.current.toRecord() : null;
+  }, []);
+
+  // Live beats plus an offline run of a fresh ensemble in a worker; kept short for large ensembles
+  const getAnalysisSeries = useCallback(async () => {
+    const live = beatIntervals(sessionLogRef.current);
+    const test = await simulateKuramotoIOIs({ ensembleSize, bpm, spread, coupling, frustration, seed, network }, { maxBeats: 256 });
+    return [
+      { label: 'Live IOIs', values: live },
+      { label: 'Engine test', values: test },
+    ];
+  }, [ensembleSize, bpm, spread, coupling, frustration, network, seed]);
+
+  const applyConfig = useCallback((c) => {
+    setBpm(c.bpm);
+    setEnsembleSize(c.ensembleSize);
+    setCoupling(c.coupling);
+    setSpread(c.spread);
+    setFrustration(c.frustration);
+    setPlayerCoupling(c.playerCoupling ?? ENGINE_DEFAULTS.kuramoto.playerCoupling);
+    setNetwork(c.network || DEFAULT_NETWORK);
+    setVoices(c.voices ?? 0);
+    setVoiceLevel(c.voiceLevel ?? ENGINE_DEFAULTS.kuramoto.voiceLevel);
+    setSubdivision(c.subdivision);
+    setGroove(c.groove || DEFAULT_GROOVE);
+    setRefClick(c.refClick);
+    setMeter(c.meter || DEFAULT_METER);
+    if (c.seed !== null && c.seed !== undefined) setSeed(c.seed);
+    setAutoSeed(c.seed === null || c.seed === undefined);
   }, []);
 
   const togglePlayback = useCallback(() => {
@@ -531,24 +5065,41 @@ function FractalMetronome() {
     else startPlayback();
   }, [isPlaying, startPlayback, stopPlayback]);
 
-  // Update gain in real time
   useEffect(() => {
     if (gainRef.current) gainRef.current.gain.value = volume / 100;
     if (refGainRef.current) refGainRef.current.gain.value = volume / 100;
   }, [volume]);
 
-  // Cleanup on unmount
+  useEffect(() => {
+    if (voiceGainRef.current) voiceGainRef.current.gain.value = voiceLevel / 100;
+  }, [voiceLevel]);
+
   useEffect(() => {
     return () => {
       releaseWakeLock();
-      if (timerRef.current) clearInterval(timerRef.current);
+      isPlayingRef.current = false;
+      if (clockRef.current) clockRef.current.stop();
+      if (animFrameRef.current) cancelAnimationFrame(animFrameRef.current);
+      if (workerRef.current) workerRef.current.terminate();
       if (audioCtxRef.current) audioCtxRef.current.close();
+      midiClock.stop();
+      saveSessionLog(sessionLogRef.current);
     };
-  }, []);
+  }, [midiClock]);
 
-  // IOI bar visualization data
-  const baseIOI = 60 / bpm;
-  const recentIOIs = ioiHistory.slice(-32);
+  // Order parameter color
+  const rColor = orderR > 0.7 ? '#22c55e' : orderR > 0.4 ? '#eab308' : '#ef4444';
+
+  // Circular mean and resultant length of the player's phase against ψ
+  const relSin = relPhases.reduce((a, d) => a + Math.sin(d * Math.PI / 180), 0);
+  const relCos = relPhases.reduce((a, d) => a + Math.cos(d * Math.PI / 180), 0);
+  const playerLock = relPhases.length > 0 ? Math.hypot(relSin, relCos) / relPhases.length : 0;
+  const meanRelPhase = Math.atan2(relSin, relCos) * 180 / Math.PI;
+  const lastRelPhase = relPhases[relPhases.length - 1];
+
+  const bySection = network.topology === 'sections';
+  const sectionOf = bySection ? sectionAssignments(network.sections, phases.length) : [];
+  const sectionR = bySection ? sectionOrders(phases, sectionOf, network.sections.length) : [];
 
   return (
     <div className="flex flex-col gap-3">
@@ -564,190 +5115,377 @@ function FractalMetronome() {
         onSubdivisionChange={setSubdivision}
         refClick={refClick}
         onRefClickChange={setRefClick}
+        tempoPresets={tempoButtons(presets.library)}
+        feelSuggestion={{
+          label: 'individuality',
+          // Uniform ±s% natural frequencies have an SD of s/√3, so match that to the tap spread
+          fromCV: cv => Math.min(10, Math.round(cv * Math.sqrt(3) * 10) / 10),
+          format: v => `${v.toFixed(1)}%`,
+          apply: setSpread,
+        }}
       />
 
-      <BeatIndicator currentBeat={currentBeat} beatsPerBar={4} accentColor={ACCENT} />
+      <BeatIndicator
+        currentBeat={currentBeat}
+        beatsPerBar={meter.beats}
+        accents={meter.accents}
+        grouping={meter.grouping}
+        accentColor={ACCENT}
+      />
+      <MeterEditor meter={meter} onChange={setMeter} accentColor={ACCENT} />
+      {subdivision > 1 && (
+        <GrooveEditor groove={groove} onChange={setGroove} subdivision={subdivision} accentColor={ACCENT} />
+      )}
+
+      {/* TAP button */}
+      <button
+        onPointerDown={handleTap}
+        className="w-full py-4 rounded-lg text-xl font-bold cursor-pointer transition-all active:scale-95 select-none"
+        style={{
+          backgroundColor: isPlaying ? '#292524' : '#1c1917',
+          color: isPlaying ? ACCENT : '#57534e',
+          border: `2px solid ${isPlaying ? ACCENT : '#44403c'}`,
+        }}
+      >
+        TAP <span className="text-xs font-normal text-gray-500">or space</span>
+      </button>
+
+      <AudioInputPanel input={audioInput} accentColor={ACCENT} />
+      <MidiInputPanel input={midiInput} accentColor={ACCENT} />
 
       <div className="bg-gray-800 rounded-lg p-4 space-y-3">
         <Slider
-          label="Drift (CV%)"
-          min={0} max={5} step={0.1}
-          value={drift}
-          onChange={setDrift}
-          display={`${drift.toFixed(1)}%`}
+          label="Ensemble (N)"
+          min={4} max={512} step={1}
+          value={ensembleSize}
+          onChange={setEnsembleSize}
+          display={`${ensembleSize}`}
+          accentColor={ACCENT}
+        />
+        <Slider
+          label="Cohesion (K)"
+          min={0} max={10} step={0.1}
+          value={coupling}
+          onChange={setCoupling}
+          display={coupling.toFixed(1)}
+          accentColor={ACCENT}
+        />
+        <div className="flex justify-between text-xs text-gray-500 ml-26 pl-1">
+          <span>Loose</span><span>Tight</span>
+        </div>
+        <Slider
+          label="Individuality"
+          min={0} max={10} step={0.1}
+          value={spread}
+          onChange={setSpread}
+          display={`${spread.toFixed(1)}%`}
           accentColor={ACCENT}
         />
         <div className="text-xs text-gray-500 ml-26 pl-1">
-          ±{(bpm * drift / 100).toFixed(1)} BPM → {(bpm - bpm * drift / 100).toFixed(0)}–{(bpm + bpm * drift / 100).toFixed(0)} range
+          ±{(bpm * spread / 100).toFixed(1)} BPM natural freq range
         </div>
         <Slider
-          label="Color (β)"
-          min={0} max={2} step={0.05}
-          value={color}
-          onChange={setColor}
-          display={color < 0.4 ? 'White' : color < 1.4 ? 'Pink' : 'Brown'}
+          label="Voices"
+          min={0} max={Math.min(ensembleSize, MAX_VOICES)} step={1}
+          value={Math.min(voices, ensembleSize, MAX_VOICES)}
+          onChange={setVoices}
+          display={voices === 0 ? 'Off' : voices >= ensembleSize ? 'All' : `${voices}`}
+          accentColor={ACCENT}
+        />
+        {voices > 0 && (
+          <Slider
+            label="Voice level"
+            min={0} max={100} step={1}
+            value={voiceLevel}
+            onChange={setVoiceLevel}
+            display={`${voiceLevel}%`}
+            accentColor={ACCENT}
+          />
+        )}
+        <Slider
+          label="Player pull"
+          min={0} max={10} step={0.1}
+          value={playerCoupling}
+          onChange={setPlayerCoupling}
+          display={playerCoupling.toFixed(1)}
+          accentColor={ACCENT}
+        />
+        {showAdvanced && (
+          <Slider
+            label="Resistance (α)"
+            min={0} max={45} step={1}
+            value={frustration}
+            onChange={setFrustration}
+            display={`${frustration}°`}
+            accentColor={ACCENT}
+          />
+        )}
+        <SeedControl
+          seed={seed}
+          onSeedChange={setSeed}
+          autoSeed={autoSeed}
+          onAutoSeedChange={setAutoSeed}
           accentColor={ACCENT}
         />
+        <button
+          onClick={() => setShowAdvanced(!showAdvanced)}
+          className="text-xs text-gray-500 hover:text-gray-300 cursor-pointer"
+        >
+          {showAdvanced ? '▾ Hide advanced' : '▸ Show advanced'}
+        </button>
       </div>
 
-      {/* IOI Bar Visualization */}
-      <div className="bg-gray-800 rounded-lg p-3">
-        <div className="text-xs text-gray-400 mb-2">IOI History (last 32 beats)</div>
-        <div className="flex items-end gap-px h-20">
-          {recentIOIs.length === 0 ? (
-            <div className="text-xs text-gray-600 flex items-center justify-center w-full h-full">
-              Press play to begin
-            </div>
-          ) : (
-            recentIOIs.map((ioi, i) => {
-              const ratio = ioi / baseIOI;
-              const height = Math.max(5, Math.min(100, ratio * 50));
-              const deviation = Math.abs(ratio - 1);
-              const opacity = Math.min(1, 0.3 + deviation * 10);
-              const isLast = i === recentIOIs.length - 1;
-              return (
-                <div
+      <NetworkEditor network={network} onChange={setNetwork} ensembleSize={ensembleSize} accentColor={ACCENT} />
+
+      <PresetPanel engine="kuramoto" presets={presets} config={currentConfig} onRecall={applyConfig} accentColor={ACCENT} />
+      <RoutinePanel engine="kuramoto" presets={presets} isPlaying={isPlaying} progress={routineProgress} onRun={startPlayback} accentColor={ACCENT} />
+
+      {/* Kuramoto Circle Visualization */}
+      <div className="bg-gray-800 rounded-lg p-4">
+        <div className="flex items-center gap-4">
+          <div className="relative w-48 h-48 mx-auto shrink-0">
+            <svg viewBox="-1.3 -1.3 2.6 2.6" className="w-full h-full">
+              {/* Unit circle */}
+              <circle cx="0" cy="0" r="1" fill="none" stroke="#374151" strokeWidth="0.02" />
+              {/* Order parameter arrow */}
+              {phases.length > 0 && (
+                <line
+                  x1="0" y1="0"
+                  x2={orderR * Math.cos(psi)} y2={orderR * Math.sin(psi)}
+                  stroke={rColor} strokeWidth="0.04" strokeLinecap="round"
+                />
+              )}
+              {/* Oscillator dots */}
+              {phases.map((phase, i) => (
+                <circle
                   key={i}
-                  className="flex-1 rounded-sm transition-all duration-75"
-                  style={{
-                    height: `${height}%`,
-                    backgroundColor: ACCENT,
-                    opacity: isLast ? 1 : opacity,
-                    boxShadow: isLast ? `0 0 6px ${ACCENT}` : 'none',
-                  }}
+                  cx={Math.cos(phase)}
+                  cy={Math.sin(phase)}
+                  r={phases.length > 64 ? '0.03' : '0.06'}
+                  fill={bySection ? SECTION_COLORS[sectionOf[i]] : ACCENT}
+                  opacity={0.8}
                 />
-              );
-            })
-          )}
-        </div>
-        <div className="flex justify-between text-xs text-gray-600 mt-1">
-          <span>Slower ↑</span>
-          <span>Base IOI: {(baseIOI * 1000).toFixed(0)}ms</span>
-          <span>↓ Faster</span>
+              ))}
+              {/* The player, while they're tapping */}
+              {playerPhase !== null && (
+                <circle
+                  cx={Math.cos(playerPhase)}
+                  cy={Math.sin(playerPhase)}
+                  r="0.09"
+                  fill="#fff"
+                  stroke={ACCENT}
+                  strokeWidth="0.03"
+                />
+              )}
+            </svg>
+          </div>
+
+          <div className="flex flex-col items-center gap-2">
+            <div className="text-xs text-gray-400">Order (r)</div>
+            <div className="text-3xl font-mono font-bold" style={{ color: rColor }}>
+              {orderR.toFixed(2)}
+            </div>
+            <div className="w-24 h-2 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className="h-full rounded-full transition-all duration-100"
+                style={{ width: `${orderR * 100}%`, backgroundColor: rColor }}
+              />
+            </div>
+            <div className="text-xs text-gray-500">
+              {orderR > 0.8 ? 'Locked' : orderR > 0.5 ? 'Partial sync' : 'Desynchronized'}
+            </div>
+            {sectionR.map((r, s) => (
+              <div key={s} className="text-xs font-mono" style={{ color: SECTION_COLORS[s] }}>
+                {SECTION_NAMES[s]} r {r.toFixed(2)}
+              </div>
+            ))}
+          </div>
         </div>
+        {relPhases.length > 0 && (
+          <div className="flex justify-center gap-4 text-xs font-mono text-gray-400 mt-3">
+            <span>You − ψ: <span style={{ color: ACCENT }}>{lastRelPhase >= 0 ? '+' : ''}{lastRelPhase.toFixed(0)}°</span></span>
+            <span>Mean: <span style={{ color: ACCENT }}>{meanRelPhase >= 0 ? '+' : ''}{meanRelPhase.toFixed(0)}°</span></span>
+            <span>Lock: <span style={{ color: ACCENT }}>{playerLock.toFixed(2)}</span></span>
+          </div>
+        )}
       </div>
 
       <MetricsPanel ioiHistory={ioiHistory} baseBPM={bpm} sessionStart={sessionStart} accentColor={ACCENT} />
+      <SessionExportBar getRecord={getSessionRecord} disabled={!sessionStart} />
+      <AnalysisPanel getSeries={getAnalysisSeries} accentColor={ACCENT} />
 
-      {/* CV of last 64 beats */}
-      {ioiHistory.length > 4 && (() => {
-        const recent = ioiHistory.slice(-64);
-        const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
-        const sd = Math.sqrt(recent.reduce((s, v) => s + (v - mean) ** 2, 0) / recent.length);
-        const cv = ((sd / mean) * 100).toFixed(2);
-        return (
-          <div className="text-center text-xs text-gray-400">
-            Measured CV: <span style={{ color: ACCENT }}>{cv}%</span> (target: {drift.toFixed(1)}%)
-          </div>
-        );
-      })()}
+      <RenderPanel onRender={renderTrack} accentColor={ACCENT} />
     </div>
   );
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-// Kuramoto Ensemble Metronome
+// PLL Training Metronome
 // ═══════════════════════════════════════════════════════════════════════
-function KuramotoMetronome() {
-  const ACCENT = '#8b5cf6';
+function PLLMetronomeComponent({ midiClock, clickKit, drums, config, onConfigChange, presets }) {
+  const ACCENT = '#f59e0b';
   const [isPlaying, setIsPlaying] = useState(false);
-  const [bpm, setBpm] = useState(125);
+  const [bpm, setBpm] = useState(config.bpm);
   const [volume, setVolume] = useState(80);
-  const [ensembleSize, setEnsembleSize] = useState(16);
-  const [coupling, setCoupling] = useState(5.0);
-  const [spread, setSpread] = useState(1.5);
-  const [frustration, setFrustration] = useState(0);
-  const [showAdvanced, setShowAdvanced] = useState(false);
-  const [subdivision, setSubdivision] = useState(1);
-  const [refClick, setRefClick] = useState(false);
+  const [modeLabel, setModeLabel] = useState(config.mode);
+  const [customKp, setCustomKp] = useState(config.Kp);
+  const [customKi, setCustomKi] = useState(config.Ki);
+  const [subdivision, setSubdivision] = useState(config.subdivision);
+  const [groove, setGroove] = useState(config.groove);
+  const [refClick, setRefClick] = useState(config.refClick);
+  const [meter, setMeter] = useState(config.meter);
   const [currentBeat, setCurrentBeat] = useState(-1);
+  const display = useAudibleUpdates();
   const [ioiHistory, setIoiHistory] = useState([]);
   const [sessionStart, setSessionStart] = useState(null);
-  const [orderR, setOrderR] = useState(0);
-  const [phases, setPhases] = useState([]);
+  const [routineProgress, setRoutineProgress] = useState(null);
+  const [phaseError, setPhaseError] = useState(0);
+  const [asyncHistory, setAsyncHistory] = useState([]); // [{scheduled, tap, async}]
+  const [tapTimes, setTapTimes] = useState([]);
+  const [gapSettings, setGapSettings] = useState(DEFAULT_GAP);
+  const [gapBar, setGapBar] = useState(-1);
+  const [gapStats, setGapStats] = useState(null);
 
   const audioCtxRef = useRef(null);
   const gainRef = useRef(null);
   const refGainRef = useRef(null);
-  const timerRef = useRef(null);
-  const animFrameRef = useRef(null);
-  const ensembleRef = useRef(null);
-  const simTimeRef = useRef(0);
-  const lastBeatSimTimeRef = useRef(0);
-  const prevPsiRef = useRef(0);
-  const cumPhaseRef = useRef(0);
-  const lastBeatPhaseRef = useRef(0);
-  const beatCountRef = useRef(0);
-  const nextBeatTimeRef = useRef(0);
+  const clockRef = useRef(null);
+  const pllRef = useRef(null);
   const prevBeatTimeRef = useRef(0);
+  const beatCountRef = useRef(0);
   const ioiBufferRef = useRef([]);
+  const sessionLogRef = useRef(null);
+  const routineRef = useRef(null);
+  const gapTrainerRef = useRef(null);
+  const scheduledBeatsRef = useRef([]); // last N scheduled beat times
+  const asyncBufferRef = useRef([]);
   const isPlayingRef = useRef(false);
-  const nextRefBeatTimeRef = useRef(0);
-  const refBeatCountRef = useRef(0);
 
   const bpmRef = useRef(bpm);
-  const ensembleSizeRef = useRef(ensembleSize);
-  const couplingRef = useRef(coupling);
-  const spreadRef = useRef(spread);
-  const frustrationRef = useRef(frustration);
   const subdivRef = useRef(subdivision);
   const refClickRef = useRef(refClick);
   useEffect(() => { bpmRef.current = bpm; }, [bpm]);
-  useEffect(() => { ensembleSizeRef.current = ensembleSize; }, [ensembleSize]);
-  useEffect(() => { couplingRef.current = coupling; }, [coupling]);
-  useEffect(() => { spreadRef.current = spread; }, [spread]);
-  useEffect(() => { frustrationRef.current = frustration; }, [frustration]);
   useEffect(() => { subdivRef.current = subdivision; }, [subdivision]);
+  const grooveRef = useRef(groove);
+  useEffect(() => { grooveRef.current = groove; }, [groove]);
   useEffect(() => { refClickRef.current = refClick; }, [refClick]);
+  const meterRef = useRef(meter);
+  useEffect(() => { meterRef.current = meter; }, [meter]);
+  const gapSettingsRef = useRef(gapSettings);
+  useEffect(() => {
+    gapSettingsRef.current = gapSettings;
+    if (gapTrainerRef.current) gapTrainerRef.current.setSettings(gapSettings);
+  }, [gapSettings]);
+
+  // Built-in modes, then the user's own, with Custom last
+  const pllModes = useMemo(() => [
+    ...PLL_MODES.filter(m => m.label !== 'Custom'),
+    ...presets.library.pllModes.map(m => ({ label: m.name, Kp: m.Kp, Ki: m.Ki, desc: m.desc || 'Your saved mode' })),
+    PLL_MODES.find(m => m.label === 'Custom'),
+  ], [presets.library.pllModes]);
+  const mode = pllModes.find(m => m.label === modeLabel) || pllModes.find(m => m.label === 'Custom');
+
+  const getActiveKpKi = useCallback(() => {
+    if (mode.label === 'Custom') return { Kp: customKp, Ki: customKi };
+    return { Kp: mode.Kp, Ki: mode.Ki };
+  }, [mode, customKp, customKi]);
+
+  // Engine settings as recorded with each session
+  const params = useMemo(() => {
+    const { Kp, Ki } = getActiveKpKi();
+    return { bpm, mode: mode.label, Kp, Ki, subdivision, groove, refClick, meter };
+  }, [bpm, mode, getActiveKpKi, subdivision, groove, refClick, meter]);
+  const paramsRef = useRef(params);
+  useEffect(() => {
+    paramsRef.current = params;
+    if (sessionLogRef.current && audioCtxRef.current) {
+      sessionLogRef.current.noteParams(audioCtxRef.current.currentTime, params);
+    }
+  }, [params]);
+
+  // Report settings up so the URL and remounts keep them
+  useEffect(() => {
+    onConfigChange('pll', params);
+  }, [onConfigChange, params]);
+
+  // Tempo changes while playing retune the NCO instead of waiting for a restart
+  useEffect(() => {
+    if (pllRef.current) pllRef.current.setBaseBPM(bpm);
+  }, [bpm]);
+
+  // Update PLL gains when mode changes
+  useEffect(() => {
+    if (pllRef.current) {
+      const { Kp, Ki } = getActiveKpKi();
+      pllRef.current.Kp = Kp;
+      pllRef.current.Ki = Ki;
+    }
+  }, [getActiveKpKi]);
+
+  // Any onset source (TAP button, audio or MIDI input) lands here with an AudioContext time
+  const handleOnset = useCallback((tapTime) => {
+    if (!audioCtxRef.current || !isPlayingRef.current) return;
+
+    // Find nearest scheduled beat
+    const beats = scheduledBeatsRef.current;
+    if (beats.length === 0) return;
 
-  // Reconfigure ensemble when params change (while playing)
-  useEffect(() => {
-    if (ensembleRef.current) {
-      ensembleRef.current.reconfigure(
-        ensembleSize, bpm, spread / 100, coupling, frustration * Math.PI / 180
-      );
+    let nearestBeat = beats[0];
+    let minDist = Math.abs(tapTime - beats[0]);
+    for (let i = 1; i < beats.length; i++) {
+      const d = Math.abs(tapTime - beats[i]);
+      if (d < minDist) {
+        minDist = d;
+        nearestBeat = beats[i];
+      }
     }
-  }, [ensembleSize, bpm, spread, coupling, frustration]);
 
-  const findNextBeatIOI = useCallback(() => {
-    const ens = ensembleRef.current;
-    if (!ens) return 60.0 / bpmRef.current;
-
-    const baseIOI = 60.0 / bpmRef.current;
-    const dt = 0.001;
-    let prevPsi = prevPsiRef.current;
-    const targetPhase = lastBeatPhaseRef.current + 2 * Math.PI;
-
-    for (let i = 0; i < 3000; i++) {
-      ens.step(dt);
-      simTimeRef.current += dt;
-      const { psi } = ens.getOrderParameter();
-
-      // Unwrap phase delta: compute how much psi advanced this step
-      let dpsi = psi - prevPsi;
-      if (dpsi > Math.PI) dpsi -= 2 * Math.PI;
-      if (dpsi < -Math.PI) dpsi += 2 * Math.PI;
-      cumPhaseRef.current += dpsi;
-      prevPsi = psi;
-
-      // Beat fires when cumulative phase reaches the next 2π boundary
-      if (cumPhaseRef.current >= targetPhase) {
-        prevPsiRef.current = psi;
-        lastBeatPhaseRef.current = targetPhase; // snap to exact target to prevent drift
-        const ioi = simTimeRef.current - lastBeatSimTimeRef.current;
-        lastBeatSimTimeRef.current = simTimeRef.current;
-        // Clamp to reasonable range (±30% of base)
-        return Math.max(baseIOI * 0.7, Math.min(baseIOI * 1.4, ioi));
-      }
+    // Taps in a silent bar are scored against the continuation and kept away from the PLL
+    const gap = gapTrainerRef.current;
+    if (gap && gap.tap(tapTime, nearestBeat) !== null) {
+      setGapStats(gap.summary());
+      return;
+    }
+
+    const pll = pllRef.current;
+    if (pll) {
+      const asyncMs = pll.onMusicianOnset(tapTime, nearestBeat) * 1000;
+      setPhaseError(asyncMs);
+
+      const entry = { scheduled: nearestBeat, tap: tapTime, async: asyncMs };
+      sessionLogRef.current.addTap(entry);
+      asyncBufferRef.current.push(entry);
+      if (asyncBufferRef.current.length > 64) asyncBufferRef.current.shift();
+      setAsyncHistory([...asyncBufferRef.current]);
+    }
+  }, []);
+
+  // Routine values retune the running PLL directly; gain changes show up as Custom gains
+  const applyAutomation = useCallback((values) => {
+    const pll = pllRef.current;
+    if ('bpm' in values) {
+      bpmRef.current = values.bpm;
+      setBpm(values.bpm);
+      if (pll) pll.setBaseBPM(values.bpm);
+    }
+    if (pll && ('Kp' in values || 'Ki' in values)) {
+      if ('Kp' in values) pll.Kp = values.Kp;
+      if ('Ki' in values) pll.Ki = values.Ki;
+      setModeLabel('Custom');
+      setCustomKp(pll.Kp);
+      setCustomKi(pll.Ki);
     }
-    prevPsiRef.current = prevPsi;
-    // Fallback: use base IOI
-    lastBeatSimTimeRef.current = simTimeRef.current;
-    lastBeatPhaseRef.current = targetPhase;
-    return baseIOI;
   }, []);
 
-  const startPlayback = useCallback(() => {
+  const handleTap = useCallback(() => {
+    if (audioCtxRef.current) handleOnset(audioCtxRef.current.currentTime);
+  }, [handleOnset]);
+
+  const audioInput = useAudioOnsetInput(audioCtxRef, isPlaying, handleOnset);
+  const midiInput = useMidiOnsetInput(audioCtxRef, isPlaying, handleOnset);
+  const { markClick } = audioInput;
+
+  const startPlayback = useCallback((routine = null) => {
     const ctx = new (window.AudioContext || window.webkitAudioContext)();
     const gain = ctx.createGain();
     gain.gain.value = volume / 100;
@@ -759,120 +5497,142 @@ function KuramotoMetronome() {
     gainRef.current = gain;
     refGainRef.current = refGain;
 
-    const ens = new KuramotoEnsemble(
-      ensembleSize, bpm, spread / 100, coupling
-    );
-    ens.frustration = frustration * Math.PI / 180;
-    ensembleRef.current = ens;
-
-    // Warm up: run simulation for 2 seconds so ensemble locks before generating beats
-    const warmupSteps = 2000;
-    for (let i = 0; i < warmupSteps; i++) {
-      ens.step(0.001);
-    }
+    const { Kp, Ki } = getActiveKpKi();
+    const pll = new PLLMetronome(bpm, Kp, Ki);
+    pllRef.current = pll;
 
-    simTimeRef.current = 0;
-    lastBeatSimTimeRef.current = 0;
-    cumPhaseRef.current = 0;
-    lastBeatPhaseRef.current = 0;
-    prevPsiRef.current = ens.getOrderParameter().psi;
     beatCountRef.current = 0;
-    refBeatCountRef.current = 0;
     ioiBufferRef.current = [];
+    sessionLogRef.current = new SessionLog('pll', paramsRef.current);
+    routineRef.current = routine && new RoutineRunner(routine, ROUTINE_PARAMS.pll, { bpm: bpmRef.current, Kp, Ki });
+    setRoutineProgress(null);
+    scheduledBeatsRef.current = [];
+    asyncBufferRef.current = [];
+    gapTrainerRef.current = new GapTrainer(gapSettingsRef.current);
+    setGapStats(null);
     isPlayingRef.current = true;
-
-    // Find first beat
-    const firstIOI = findNextBeatIOI();
-    nextBeatTimeRef.current = ctx.currentTime + firstIOI;
-    prevBeatTimeRef.current = ctx.currentTime;
-    nextRefBeatTimeRef.current = ctx.currentTime + 0.05;
     setIoiHistory([]);
+    setAsyncHistory([]);
     setSessionStart(Date.now());
 
-    const schedule = () => {
-      const ctx = audioCtxRef.current;
-      if (!ctx) return;
-
-      // Schedule modulating beats
-      while (nextBeatTimeRef.current < ctx.currentTime + SCHEDULE_AHEAD) {
-        const beatTime = nextBeatTimeRef.current;
-        const beatNum = beatCountRef.current;
-        const isDownbeat = beatNum % 4 === 0;
-        scheduleClick(ctx, beatTime, isDownbeat, gainRef.current);
-
-        if (beatNum > 0) {
-          const ioi = beatTime - prevBeatTimeRef.current;
-          ioiBufferRef.current.push(ioi);
-          if (ioiBufferRef.current.length > 256) ioiBufferRef.current.shift();
-          setIoiHistory([...ioiBufferRef.current]);
-        }
+    // Each modulating beat answers the clock with the IOI to the one after it
+    const playBeat = (beatTime) => {
+      const beatNum = beatCountRef.current;
 
-        // Schedule subdivision clicks
-        const nextIOI = findNextBeatIOI();
-        const subdiv = subdivRef.current;
-        if (subdiv > 1) {
-          const subdivIOI = beatNum > 0 ? (beatTime - prevBeatTimeRef.current) : nextIOI;
-          for (let s = 1; s < subdiv; s++) {
-            const subTime = beatTime + (subdivIOI * s) / subdiv;
-            scheduleSubdivClick(ctx, subTime, gainRef.current);
-          }
-        }
+      const silentBar = gapTrainerRef.current.beat(beatTime, beatNum, meterRef.current.beats, 60.0 / bpmRef.current);
+      if (silentBar < 0) {
+        scheduledBeatsRef.current.push(beatTime);
+        if (scheduledBeatsRef.current.length > 32) scheduledBeatsRef.current.shift();
+      }
 
-        const delay = (beatTime - ctx.currentTime) * 1000;
-        setTimeout(() => setCurrentBeat(beatNum % 4), Math.max(0, delay));
+      if (beatNum > 0) {
+        const ioi = beatTime - prevBeatTimeRef.current;
+        ioiBufferRef.current.push(ioi);
+        if (ioiBufferRef.current.length > 256) ioiBufferRef.current.shift();
+        setIoiHistory([...ioiBufferRef.current]);
+      }
 
-        prevBeatTimeRef.current = beatTime;
-        beatCountRef.current++;
-        nextBeatTimeRef.current += nextIOI;
+      // Routine automation lands on the bar line, before the next IOI is drawn
+      if (routineRef.current && beatNum % meterRef.current.beats === 0) {
+        const values = routineRef.current.bar(beatTime);
+        if (values) applyAutomation(values);
+        setRoutineProgress(routineRef.current.progress());
       }
 
-      // Schedule steady reference beats
-      if (refClickRef.current) {
-        const refIOI = 60.0 / bpmRef.current;
-        while (nextRefBeatTimeRef.current < ctx.currentTime + SCHEDULE_AHEAD) {
-          const isDownbeat = refBeatCountRef.current % 4 === 0;
-          scheduleRefClick(ctx, nextRefBeatTimeRef.current, isDownbeat, refGainRef.current);
-          refBeatCountRef.current++;
-          nextRefBeatTimeRef.current += refIOI;
-        }
+      // Schedule the beat and its subdivision clicks
+      const pllIOI = pllRef.current.getNextIOI();
+      if (silentBar < 0) {
+        const clickTimes = scheduleBeat(ctx, beatTime, beatAccent(meterRef.current, beatNum), pllIOI,
+          subdivRef.current, grooveRef.current, gainRef.current, clickKit);
+        drums.beat(ctx, beatTime, beatNum % meterRef.current.beats, pllIOI, subdivRef.current, grooveRef.current, gainRef.current);
+        clickTimes.forEach(markClick);
+        sessionLogRef.current.addBeat(beatTime, beatNum % meterRef.current.beats === 0, clickTimes.slice(1));
       }
+      midiClock.beat(ctx, beatTime, pllIOI);
+
+      // Silent bars hide the beat dots too
+      const barPos = silentBar < 0 ? beatNum % meterRef.current.beats : -1;
+      display.at(beatTime, () => {
+        setCurrentBeat(barPos);
+        setGapBar(silentBar);
+      });
+
+      prevBeatTimeRef.current = beatTime;
+      beatCountRef.current++;
+      clock.pushIOI('beat', pllIOI);
     };
 
-    schedule();
-    timerRef.current = setInterval(schedule, TIMER_INTERVAL);
-
-    // Animation loop for visualization
-    const animate = () => {
-      if (!isPlayingRef.current) return;
-      const ens = ensembleRef.current;
-      if (ens) {
-        const { r } = ens.getOrderParameter();
-        setOrderR(r);
-        setPhases(ens.getPhases());
+    // Steady reference beats keep counting while muted, so switching them back on lands on the grid
+    const playRefBeat = (refTime, refNum) => {
+      if (refClickRef.current && !gapTrainerRef.current.isSilent()) {
+        scheduleRefClick(ctx, refTime, beatAccent(meterRef.current, refNum), refGainRef.current, clickKit);
+        markClick(refTime);
       }
-      animFrameRef.current = requestAnimationFrame(animate);
+      clock.pushIOI('ref', 60.0 / bpmRef.current);
     };
-    animFrameRef.current = requestAnimationFrame(animate);
 
+    const clock = new BeatClock(ctx, {
+      onBeat: (track, index, time) => {
+        if (track === 'beat') playBeat(time);
+        else playRefBeat(time, index);
+      },
+    });
+    clock.addTrack('beat');
+    clock.addTrack('ref');
+    clockRef.current = clock;
+    display.start(ctx);
     requestWakeLock();
     setIsPlaying(true);
-  }, [volume, bpm, ensembleSize, coupling, spread, frustration, findNextBeatIOI]);
+  }, [display, volume, bpm, getActiveKpKi, applyAutomation, markClick, midiClock, clickKit, drums]);
 
   const stopPlayback = useCallback(() => {
     isPlayingRef.current = false;
-    if (timerRef.current) clearInterval(timerRef.current);
-    timerRef.current = null;
-    if (animFrameRef.current) cancelAnimationFrame(animFrameRef.current);
-    animFrameRef.current = null;
+    if (clockRef.current) clockRef.current.stop();
+    clockRef.current = null;
+    display.stop();
     if (audioCtxRef.current) {
       audioCtxRef.current.close();
       audioCtxRef.current = null;
     }
+    midiClock.stop();
+    saveSessionLog(sessionLogRef.current);
+    routineRef.current = null;
     releaseWakeLock();
     setIsPlaying(false);
     setCurrentBeat(-1);
+    setGapBar(-1);
+  }, [display, midiClock]);
+
+  const getSessionRecord = useCallback(() => {
+    return sessionLogRef.current ? sessionLogRef.current.toRecord() : null;
   }, []);
 
+  // The player's own tap intervals next to the clicks they were following
+  const getAnalysisSeries = useCallback(() => {
+    const log = sessionLogRef.current;
+    return [
+      { label: 'Your taps', values: log ? intervalsOf(log.taps.map(t => t.tap)) : [] },
+      { label: 'Click IOIs', values: beatIntervals(log) },
+    ];
+  }, []);
+
+  // Gains that match no mode on this device (e.g. from someone else's preset) come back as Custom
+  const applyConfig = useCallback((c) => {
+    setBpm(c.bpm);
+    setSubdivision(c.subdivision);
+    setGroove(c.groove || DEFAULT_GROOVE);
+    setRefClick(c.refClick);
+    setMeter(c.meter || DEFAULT_METER);
+    const known = pllModes.find(m => m.label === c.mode && m.Kp !== null);
+    if (known) {
+      setModeLabel(known.label);
+    } else {
+      setModeLabel('Custom');
+      setCustomKp(c.Kp);
+      setCustomKi(c.Ki);
+    }
+  }, [pllModes]);
+
   const togglePlayback = useCallback(() => {
     if (isPlaying) stopPlayback();
     else startPlayback();
@@ -887,14 +5647,27 @@ function KuramotoMetronome() {
     return () => {
       releaseWakeLock();
       isPlayingRef.current = false;
-      if (timerRef.current) clearInterval(timerRef.current);
-      if (animFrameRef.current) cancelAnimationFrame(animFrameRef.current);
+      if (clockRef.current) clockRef.current.stop();
       if (audioCtxRef.current) audioCtxRef.current.close();
+      midiClock.stop();
+      saveSessionLog(sessionLogRef.current);
     };
-  }, []);
+  }, [midiClock]);
 
-  // Order parameter color
-  const rColor = orderR > 0.7 ? '#22c55e' : orderR > 0.4 ? '#eab308' : '#ef4444';
+  // Phase error color
+  const absError = Math.abs(phaseError);
+  const errorColor = absError < 20 ? '#22c55e' : absError < 50 ? '#eab308' : '#ef4444';
+
+  // Async SD
+  const recentAsync = asyncHistory.slice(-32);
+  let asyncSD = 0;
+  if (recentAsync.length > 1) {
+    const mean = recentAsync.reduce((a, b) => a + b.async, 0) / recentAsync.length;
+    asyncSD = Math.sqrt(recentAsync.reduce((s, v) => s + (v.async - mean) ** 2, 0) / recentAsync.length);
+  }
+  const meanAsync = recentAsync.length > 0
+    ? recentAsync.reduce((a, b) => a + b.async, 0) / recentAsync.length
+    : 0;
 
   return (
     <div className="flex flex-col gap-3">
@@ -910,202 +5683,288 @@ function KuramotoMetronome() {
         onSubdivisionChange={setSubdivision}
         refClick={refClick}
         onRefClickChange={setRefClick}
+        tempoPresets={tempoButtons(presets.library)}
+      />
+
+      <BeatIndicator
+        currentBeat={currentBeat}
+        beatsPerBar={meter.beats}
+        accents={meter.accents}
+        grouping={meter.grouping}
+        accentColor={ACCENT}
       />
+      <MeterEditor meter={meter} onChange={setMeter} accentColor={ACCENT} />
+      {subdivision > 1 && (
+        <GrooveEditor groove={groove} onChange={setGroove} subdivision={subdivision} accentColor={ACCENT} />
+      )}
+
+      {/* TAP button */}
+      <button
+        onPointerDown={handleTap}
+        className="w-full py-6 rounded-lg text-2xl font-bold cursor-pointer transition-all active:scale-95 select-none"
+        style={{
+          backgroundColor: isPlaying ? '#292524' : '#1c1917',
+          color: isPlaying ? ACCENT : '#57534e',
+          border: `2px solid ${isPlaying ? ACCENT : '#44403c'}`,
+        }}
+      >
+        TAP
+      </button>
 
-      <BeatIndicator currentBeat={currentBeat} beatsPerBar={4} accentColor={ACCENT} />
+      <AudioInputPanel input={audioInput} accentColor={ACCENT} />
+      <MidiInputPanel input={midiInput} accentColor={ACCENT} />
 
+      {/* Mode selector */}
       <div className="bg-gray-800 rounded-lg p-4 space-y-3">
-        <Slider
-          label="Ensemble (N)"
-          min={4} max={32} step={1}
-          value={ensembleSize}
-          onChange={setEnsembleSize}
-          display={`${ensembleSize}`}
-          accentColor={ACCENT}
-        />
-        <Slider
-          label="Cohesion (K)"
-          min={0} max={10} step={0.1}
-          value={coupling}
-          onChange={setCoupling}
-          display={coupling.toFixed(1)}
-          accentColor={ACCENT}
-        />
-        <div className="flex justify-between text-xs text-gray-500 ml-26 pl-1">
-          <span>Loose</span><span>Tight</span>
-        </div>
-        <Slider
-          label="Individuality"
-          min={0} max={10} step={0.1}
-          value={spread}
-          onChange={setSpread}
-          display={`${spread.toFixed(1)}%`}
-          accentColor={ACCENT}
-        />
-        <div className="text-xs text-gray-500 ml-26 pl-1">
-          ±{(bpm * spread / 100).toFixed(1)} BPM natural freq range
+        <div className="text-xs text-gray-400 mb-2">Response Mode</div>
+        <div className="flex flex-wrap gap-1">
+          {pllModes.map(m => (
+            <button
+              key={m.label}
+              onClick={() => setModeLabel(m.label)}
+              className="px-3 py-1 text-xs rounded cursor-pointer transition-colors"
+              style={{
+                backgroundColor: mode === m ? ACCENT : '#374151',
+                color: mode === m ? '#111' : '#9CA3AF',
+              }}
+            >
+              {m.label}
+            </button>
+          ))}
         </div>
-        {showAdvanced && (
-          <Slider
-            label="Resistance (α)"
-            min={0} max={45} step={1}
-            value={frustration}
-            onChange={setFrustration}
-            display={`${frustration}°`}
-            accentColor={ACCENT}
-          />
+        <div className="text-xs text-gray-500">{mode.desc}</div>
+
+        {mode.label === 'Custom' && (
+          <div className="space-y-2 pt-2">
+            <Slider
+              label="Kp (phase)"
+              min={-0.5} max={1.0} step={0.01}
+              value={customKp}
+              onChange={setCustomKp}
+              display={customKp.toFixed(2)}
+              accentColor={ACCENT}
+            />
+            <Slider
+              label="Ki (drift)"
+              min={0} max={0.1} step={0.001}
+              value={customKi}
+              onChange={setCustomKi}
+              display={customKi.toFixed(3)}
+              accentColor={ACCENT}
+            />
+          </div>
         )}
-        <button
-          onClick={() => setShowAdvanced(!showAdvanced)}
-          className="text-xs text-gray-500 hover:text-gray-300 cursor-pointer"
-        >
-          {showAdvanced ? '▾ Hide advanced' : '▸ Show advanced'}
-        </button>
       </div>
 
-      {/* Kuramoto Circle Visualization */}
-      <div className="bg-gray-800 rounded-lg p-4">
-        <div className="flex items-center gap-4">
-          <div className="relative w-48 h-48 mx-auto shrink-0">
-            <svg viewBox="-1.3 -1.3 2.6 2.6" className="w-full h-full">
-              {/* Unit circle */}
-              <circle cx="0" cy="0" r="1" fill="none" stroke="#374151" strokeWidth="0.02" />
-              {/* Order parameter arrow */}
-              {phases.length > 0 && (() => {
-                const { r, psi } = ensembleRef.current?.getOrderParameter() || { r: 0, psi: 0 };
-                return (
-                  <line
-                    x1="0" y1="0"
-                    x2={r * Math.cos(psi)} y2={r * Math.sin(psi)}
-                    stroke={rColor} strokeWidth="0.04" strokeLinecap="round"
-                  />
-                );
-              })()}
-              {/* Oscillator dots */}
-              {phases.map((phase, i) => (
-                <circle
-                  key={i}
-                  cx={Math.cos(phase)}
-                  cy={Math.sin(phase)}
-                  r="0.06"
-                  fill={ACCENT}
-                  opacity={0.8}
-                />
-              ))}
-            </svg>
-          </div>
+      <PresetPanel engine="pll" presets={presets} config={params} onRecall={applyConfig} accentColor={ACCENT} />
+      <RoutinePanel engine="pll" presets={presets} isPlaying={isPlaying} progress={routineProgress} onRun={startPlayback} accentColor={ACCENT} />
 
-          <div className="flex flex-col items-center gap-2">
-            <div className="text-xs text-gray-400">Order (r)</div>
-            <div className="text-3xl font-mono font-bold" style={{ color: rColor }}>
-              {orderR.toFixed(2)}
-            </div>
-            <div className="w-24 h-2 bg-gray-700 rounded-full overflow-hidden">
-              <div
-                className="h-full rounded-full transition-all duration-100"
-                style={{ width: `${orderR * 100}%`, backgroundColor: rColor }}
-              />
-            </div>
-            <div className="text-xs text-gray-500">
-              {orderR > 0.8 ? 'Locked' : orderR > 0.5 ? 'Partial sync' : 'Desynchronized'}
+      {/* Phase error display */}
+      <div className="bg-gray-800 rounded-lg p-4 text-center">
+        <div className="text-xs text-gray-400 mb-1">Phase Error</div>
+        <div className="text-4xl font-mono font-bold" style={{ color: errorColor }}>
+          {phaseError >= 0 ? '+' : ''}{phaseError.toFixed(1)}ms
+        </div>
+        <div className="text-xs text-gray-500 mt-1">
+          {phaseError > 0 ? 'Late' : phaseError < 0 ? 'Early' : '—'}
+        </div>
+      </div>
+
+      {/* Asynchrony timeline */}
+      <div className="bg-gray-800 rounded-lg p-3">
+        <div className="text-xs text-gray-400 mb-2">Asynchrony Timeline (last 16 beats)</div>
+        <div className="relative h-20">
+          {recentAsync.slice(-16).map((entry, i) => {
+            const x = (i / 15) * 100;
+            // Map async to vertical position: 0ms = center, ±100ms = edges
+            const yCenter = 50;
+            const yOffset = Math.max(-45, Math.min(45, entry.async * 0.45));
+            return (
+              <div key={i} className="absolute" style={{ left: `${x}%`, top: 0, height: '100%', width: '2px' }}>
+                {/* Metronome beat marker */}
+                <div
+                  className="absolute w-2 h-2 rounded-full -ml-1"
+                  style={{ top: `${yCenter}%`, backgroundColor: ACCENT }}
+                />
+                {/* Tap marker */}
+                <div
+                  className="absolute w-2 h-2 rounded-full -ml-1"
+                  style={{ top: `${yCenter + yOffset}%`, backgroundColor: '#fff' }}
+                />
+                {/* Connecting line */}
+                <div
+                  className="absolute w-px -ml-px"
+                  style={{
+                    top: `${Math.min(yCenter, yCenter + yOffset)}%`,
+                    height: `${Math.abs(yOffset)}%`,
+                    backgroundColor: errorColor,
+                    opacity: 0.5,
+                  }}
+                />
+              </div>
+            );
+          })}
+          {recentAsync.length === 0 && (
+            <div className="text-xs text-gray-600 flex items-center justify-center h-full">
+              Tap along with the beat
             </div>
-          </div>
+          )}
+        </div>
+        <div className="flex justify-between text-xs text-gray-600 mt-1">
+          <span>● Metronome</span>
+          <span>○ Your tap</span>
         </div>
       </div>
 
+      {/* Async stats */}
+      <div className="flex gap-4 text-xs font-mono text-gray-400 justify-center">
+        <span>SD: <span style={{ color: ACCENT }}>{asyncSD.toFixed(1)}ms</span></span>
+        <span>Mean: <span style={{ color: ACCENT }}>{meanAsync.toFixed(1)}ms</span></span>
+        <span>NCO: <span style={{ color: ACCENT }}>{pllRef.current ? (60 / pllRef.current.getNextIOI()).toFixed(1) : bpm} BPM</span></span>
+      </div>
+
+      <GapTrainingPanel
+        settings={gapSettings}
+        onChange={setGapSettings}
+        gapBar={gapBar}
+        stats={gapStats}
+        accentColor={ACCENT}
+      />
+
       <MetricsPanel ioiHistory={ioiHistory} baseBPM={bpm} sessionStart={sessionStart} accentColor={ACCENT} />
+      <SessionExportBar getRecord={getSessionRecord} disabled={!sessionStart} />
+      <AnalysisPanel getSeries={getAnalysisSeries} accentColor={ACCENT} />
     </div>
   );
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-// PLL Training Metronome
+// ADAM Partner Metronome
 // ═══════════════════════════════════════════════════════════════════════
-function PLLMetronomeComponent() {
-  const ACCENT = '#f59e0b';
+function AdamMetronome({ midiClock, clickKit, drums, config, onConfigChange, presets }) {
+  const ACCENT = '#0ea5e9';
   const [isPlaying, setIsPlaying] = useState(false);
-  const [bpm, setBpm] = useState(125);
+  const [bpm, setBpm] = useState(config.bpm);
   const [volume, setVolume] = useState(80);
-  const [modeIdx, setModeIdx] = useState(1); // Cooperative default
-  const [customKp, setCustomKp] = useState(0.25);
-  const [customKi, setCustomKi] = useState(0.02);
-  const [subdivision, setSubdivision] = useState(1);
-  const [refClick, setRefClick] = useState(false);
+  const [blend, setBlend] = useState(config.blend);
+  const [phaseGain, setPhaseGain] = useState(config.phaseGain);
+  const [periodGain, setPeriodGain] = useState(config.periodGain);
+  const [tapWindow, setTapWindow] = useState(config.tapWindow);
+  const [subdivision, setSubdivision] = useState(config.subdivision);
+  const [groove, setGroove] = useState(config.groove);
+  const [refClick, setRefClick] = useState(config.refClick);
+  const [meter, setMeter] = useState(config.meter);
   const [currentBeat, setCurrentBeat] = useState(-1);
+  const display = useAudibleUpdates();
   const [ioiHistory, setIoiHistory] = useState([]);
   const [sessionStart, setSessionStart] = useState(null);
-  const [phaseError, setPhaseError] = useState(0);
-  const [asyncHistory, setAsyncHistory] = useState([]); // [{scheduled, tap, async}]
-  const [tapTimes, setTapTimes] = useState([]);
+  const [routineProgress, setRoutineProgress] = useState(null);
+  const [predictions, setPredictions] = useState([]); // [{tap, predicted, error, async}]
+  const [predictedBPM, setPredictedBPM] = useState(null);
 
   const audioCtxRef = useRef(null);
   const gainRef = useRef(null);
   const refGainRef = useRef(null);
-  const timerRef = useRef(null);
-  const pllRef = useRef(null);
-  const nextBeatTimeRef = useRef(0);
+  const clockRef = useRef(null);
+  const partnerRef = useRef(null);
   const prevBeatTimeRef = useRef(0);
   const beatCountRef = useRef(0);
   const ioiBufferRef = useRef([]);
-  const scheduledBeatsRef = useRef([]); // last N scheduled beat times
-  const asyncBufferRef = useRef([]);
+  const sessionLogRef = useRef(null);
+  const routineRef = useRef(null);
+  const scheduledBeatsRef = useRef([]);
+  const predictionBufferRef = useRef([]);
   const isPlayingRef = useRef(false);
-  const nextRefBeatTimeRef = useRef(0);
-  const refBeatCountRef = useRef(0);
 
   const bpmRef = useRef(bpm);
   const subdivRef = useRef(subdivision);
   const refClickRef = useRef(refClick);
+  const blendRef = useRef(blend);
   useEffect(() => { bpmRef.current = bpm; }, [bpm]);
   useEffect(() => { subdivRef.current = subdivision; }, [subdivision]);
+  useEffect(() => { blendRef.current = blend; }, [blend]);
+  const grooveRef = useRef(groove);
+  useEffect(() => { grooveRef.current = groove; }, [groove]);
   useEffect(() => { refClickRef.current = refClick; }, [refClick]);
+  const meterRef = useRef(meter);
+  useEffect(() => { meterRef.current = meter; }, [meter]);
 
-  const getActiveKpKi = useCallback(() => {
-    const mode = PLL_MODES[modeIdx];
-    if (mode.label === 'Custom') return { Kp: customKp, Ki: customKi };
-    return { Kp: mode.Kp, Ki: mode.Ki };
-  }, [modeIdx, customKp, customKi]);
+  // Engine settings as recorded with each session
+  const params = useMemo(() => ({ bpm, blend, phaseGain, periodGain, tapWindow, subdivision, groove, refClick, meter }),
+    [bpm, blend, phaseGain, periodGain, tapWindow, subdivision, groove, refClick, meter]);
+  const paramsRef = useRef(params);
+  useEffect(() => {
+    paramsRef.current = params;
+    if (sessionLogRef.current && audioCtxRef.current) {
+      sessionLogRef.current.noteParams(audioCtxRef.current.currentTime, params);
+    }
+  }, [params]);
 
-  // Update PLL gains when mode changes
+  // Report settings up so the URL and remounts keep them
   useEffect(() => {
-    if (pllRef.current) {
-      const { Kp, Ki } = getActiveKpKi();
-      pllRef.current.Kp = Kp;
-      pllRef.current.Ki = Ki;
+    onConfigChange('adam', params);
+  }, [onConfigChange, params]);
+
+  // Tempo changes while playing retune the partner instead of waiting for a restart
+  useEffect(() => {
+    if (partnerRef.current) partnerRef.current.setBaseBPM(bpm);
+  }, [bpm]);
+
+  useEffect(() => {
+    const partner = partnerRef.current;
+    if (partner) {
+      partner.phaseGain = phaseGain;
+      partner.periodGain = periodGain;
+      partner.window = tapWindow;
     }
-  }, [getActiveKpKi]);
+  }, [phaseGain, periodGain, tapWindow]);
 
-  const handleTap = useCallback(() => {
+  // Any onset source (TAP button, audio or MIDI input) lands here with an AudioContext time
+  const handleOnset = useCallback((tapTime) => {
     if (!audioCtxRef.current || !isPlayingRef.current) return;
-    const tapTime = audioCtxRef.current.currentTime;
 
-    // Find nearest scheduled beat
     const beats = scheduledBeatsRef.current;
     if (beats.length === 0) return;
+    const nearestBeat = beats.reduce((best, b) => (Math.abs(tapTime - b) < Math.abs(tapTime - best) ? b : best));
+
+    const partner = partnerRef.current;
+    const { asynchrony, predicted } = partner.onTap(tapTime, nearestBeat);
+    const asyncMs = asynchrony * 1000;
+    sessionLogRef.current.addTap({ scheduled: nearestBeat, tap: tapTime, async: asyncMs });
+
+    const projected = partner.projectTaps(2);
+    setPredictedBPM(projected.length === 2 ? 60 / (projected[1] - projected[0]) : null);
+    if (predicted === null) return;
+    predictionBufferRef.current.push({ tap: tapTime, predicted, error: (tapTime - predicted) * 1000, async: asyncMs });
+    if (predictionBufferRef.current.length > 64) predictionBufferRef.current.shift();
+    setPredictions([...predictionBufferRef.current]);
+  }, []);
 
-    let nearestBeat = beats[0];
-    let minDist = Math.abs(tapTime - beats[0]);
-    for (let i = 1; i < beats.length; i++) {
-      const d = Math.abs(tapTime - beats[i]);
-      if (d < minDist) {
-        minDist = d;
-        nearestBeat = beats[i];
-      }
+  const applyAutomation = useCallback((values) => {
+    if ('bpm' in values) {
+      bpmRef.current = values.bpm;
+      setBpm(values.bpm);
+      if (partnerRef.current) partnerRef.current.setBaseBPM(values.bpm);
     }
-
-    const pll = pllRef.current;
-    if (pll) {
-      const asyncMs = pll.onMusicianOnset(tapTime, nearestBeat) * 1000;
-      setPhaseError(asyncMs);
-
-      const entry = { scheduled: nearestBeat, tap: tapTime, async: asyncMs };
-      asyncBufferRef.current.push(entry);
-      if (asyncBufferRef.current.length > 64) asyncBufferRef.current.shift();
-      setAsyncHistory([...asyncBufferRef.current]);
+    if ('blend' in values) {
+      blendRef.current = values.blend;
+      setBlend(values.blend);
+    }
+    if ('phaseGain' in values) {
+      setPhaseGain(values.phaseGain);
+      if (partnerRef.current) partnerRef.current.phaseGain = values.phaseGain;
     }
   }, []);
 
-  const startPlayback = useCallback(() => {
+  const handleTap = useCallback(() => {
+    if (audioCtxRef.current) handleOnset(audioCtxRef.current.currentTime);
+  }, [handleOnset]);
+
+  const audioInput = useAudioOnsetInput(audioCtxRef, isPlaying, handleOnset);
+  const midiInput = useMidiOnsetInput(audioCtxRef, isPlaying, handleOnset);
+  const { markClick } = audioInput;
+
+  const startPlayback = useCallback((routine = null) => {
     const ctx = new (window.AudioContext || window.webkitAudioContext)();
     const gain = ctx.createGain();
     gain.gain.value = volume / 100;
@@ -1117,91 +5976,122 @@ function PLLMetronomeComponent() {
     gainRef.current = gain;
     refGainRef.current = refGain;
 
-    const { Kp, Ki } = getActiveKpKi();
-    const pll = new PLLMetronome(bpm, Kp, Ki);
-    pllRef.current = pll;
+    partnerRef.current = new AdamPartner(bpm, phaseGain, periodGain, tapWindow);
 
     beatCountRef.current = 0;
-    refBeatCountRef.current = 0;
     ioiBufferRef.current = [];
+    sessionLogRef.current = new SessionLog('adam', paramsRef.current);
+    routineRef.current = routine && new RoutineRunner(routine, ROUTINE_PARAMS.adam,
+      { bpm: bpmRef.current, blend: blendRef.current, phaseGain });
+    setRoutineProgress(null);
     scheduledBeatsRef.current = [];
-    asyncBufferRef.current = [];
+    predictionBufferRef.current = [];
     isPlayingRef.current = true;
-    nextBeatTimeRef.current = ctx.currentTime + 0.05;
-    prevBeatTimeRef.current = nextBeatTimeRef.current;
-    nextRefBeatTimeRef.current = ctx.currentTime + 0.05;
     setIoiHistory([]);
-    setAsyncHistory([]);
+    setPredictions([]);
+    setPredictedBPM(null);
     setSessionStart(Date.now());
 
-    const schedule = () => {
-      const ctx = audioCtxRef.current;
-      if (!ctx) return;
-
-      // Schedule modulating beats
-      while (nextBeatTimeRef.current < ctx.currentTime + SCHEDULE_AHEAD) {
-        const beatTime = nextBeatTimeRef.current;
-        const beatNum = beatCountRef.current;
-        const isDownbeat = beatNum % 4 === 0;
-        scheduleClick(ctx, beatTime, isDownbeat, gainRef.current);
-
-        scheduledBeatsRef.current.push(beatTime);
-        if (scheduledBeatsRef.current.length > 32) scheduledBeatsRef.current.shift();
-
-        if (beatNum > 0) {
-          const ioi = beatTime - prevBeatTimeRef.current;
-          ioiBufferRef.current.push(ioi);
-          if (ioiBufferRef.current.length > 256) ioiBufferRef.current.shift();
-          setIoiHistory([...ioiBufferRef.current]);
-        }
+    // Each modulating beat answers the clock with the IOI to the one after it
+    const playBeat = (beatTime) => {
+      const beatNum = beatCountRef.current;
 
-        // Schedule subdivision clicks
-        const pllIOI = pllRef.current.getNextIOI();
-        const subdiv = subdivRef.current;
-        if (subdiv > 1) {
-          for (let s = 1; s < subdiv; s++) {
-            const subTime = beatTime + (pllIOI * s) / subdiv;
-            scheduleSubdivClick(ctx, subTime, gainRef.current);
-          }
-        }
+      scheduledBeatsRef.current.push(beatTime);
+      if (scheduledBeatsRef.current.length > 32) scheduledBeatsRef.current.shift();
 
-        const delay = (beatTime - ctx.currentTime) * 1000;
-        setTimeout(() => setCurrentBeat(beatNum % 4), Math.max(0, delay));
+      if (beatNum > 0) {
+        const ioi = beatTime - prevBeatTimeRef.current;
+        ioiBufferRef.current.push(ioi);
+        if (ioiBufferRef.current.length > 256) ioiBufferRef.current.shift();
+        setIoiHistory([...ioiBufferRef.current]);
+      }
 
-        prevBeatTimeRef.current = beatTime;
-        beatCountRef.current++;
-        nextBeatTimeRef.current += pllIOI;
+      // Routine automation lands on the bar line, before the next IOI is drawn
+      if (routineRef.current && beatNum % meterRef.current.beats === 0) {
+        const values = routineRef.current.bar(beatTime);
+        if (values) applyAutomation(values);
+        setRoutineProgress(routineRef.current.progress());
       }
 
-      // Schedule steady reference beats
+      const ioi = partnerRef.current.nextIOI(beatTime, blendRef.current / 100);
+      const clickTimes = scheduleBeat(ctx, beatTime, beatAccent(meterRef.current, beatNum), ioi,
+        subdivRef.current, grooveRef.current, gainRef.current, clickKit);
+      drums.beat(ctx, beatTime, beatNum % meterRef.current.beats, ioi, subdivRef.current, grooveRef.current, gainRef.current);
+      clickTimes.forEach(markClick);
+      sessionLogRef.current.addBeat(beatTime, beatNum % meterRef.current.beats === 0, clickTimes.slice(1));
+      midiClock.beat(ctx, beatTime, ioi);
+
+      // Light the beat dot when the beat is heard
+      const barPos = beatNum % meterRef.current.beats;
+      display.at(beatTime, () => setCurrentBeat(barPos));
+
+      prevBeatTimeRef.current = beatTime;
+      beatCountRef.current++;
+      clock.pushIOI('beat', ioi);
+    };
+
+    // Steady reference beats keep counting while muted, so switching them back on lands on the grid
+    const playRefBeat = (refTime, refNum) => {
       if (refClickRef.current) {
-        const refIOI = 60.0 / bpmRef.current;
-        while (nextRefBeatTimeRef.current < ctx.currentTime + SCHEDULE_AHEAD) {
-          const isDownbeat = refBeatCountRef.current % 4 === 0;
-          scheduleRefClick(ctx, nextRefBeatTimeRef.current, isDownbeat, refGainRef.current);
-          refBeatCountRef.current++;
-          nextRefBeatTimeRef.current += refIOI;
-        }
+        scheduleRefClick(ctx, refTime, beatAccent(meterRef.current, refNum), refGainRef.current, clickKit);
+        markClick(refTime);
       }
+      clock.pushIOI('ref', 60.0 / bpmRef.current);
     };
 
-    schedule();
-    timerRef.current = setInterval(schedule, TIMER_INTERVAL);
+    const clock = new BeatClock(ctx, {
+      onBeat: (track, index, time) => {
+        if (track === 'beat') playBeat(time);
+        else playRefBeat(time, index);
+      },
+    });
+    clock.addTrack('beat');
+    clock.addTrack('ref');
+    clockRef.current = clock;
+    display.start(ctx);
     requestWakeLock();
     setIsPlaying(true);
-  }, [volume, bpm, getActiveKpKi]);
+  }, [display, volume, bpm, phaseGain, periodGain, tapWindow, applyAutomation, markClick, midiClock, clickKit, drums]);
 
   const stopPlayback = useCallback(() => {
     isPlayingRef.current = false;
-    if (timerRef.current) clearInterval(timerRef.current);
-    timerRef.current = null;
+    if (clockRef.current) clockRef.current.stop();
+    clockRef.current = null;
+    display.stop();
     if (audioCtxRef.current) {
       audioCtxRef.current.close();
       audioCtxRef.current = null;
     }
+    midiClock.stop();
+    saveSessionLog(sessionLogRef.current);
+    routineRef.current = null;
     releaseWakeLock();
     setIsPlaying(false);
     setCurrentBeat(-1);
+  }, [display, midiClock]);
+
+  const getSessionRecord = useCallback(() => {
+    return sessionLogRef.current ? sessionLogRef.current.toRecord() : null;
+  }, []);
+
+  const getAnalysisSeries = useCallback(() => {
+    const log = sessionLogRef.current;
+    return [
+      { label: 'Your taps', values: log ? intervalsOf(log.taps.map(t => t.tap)) : [] },
+      { label: 'Click IOIs', values: beatIntervals(log) },
+    ];
+  }, []);
+
+  const applyConfig = useCallback((c) => {
+    setBpm(c.bpm);
+    setBlend(c.blend);
+    setPhaseGain(c.phaseGain);
+    setPeriodGain(c.periodGain);
+    setTapWindow(c.tapWindow);
+    setSubdivision(c.subdivision);
+    setGroove(c.groove || DEFAULT_GROOVE);
+    setRefClick(c.refClick);
+    setMeter(c.meter || DEFAULT_METER);
   }, []);
 
   const togglePlayback = useCallback(() => {
@@ -1218,27 +6108,25 @@ function PLLMetronomeComponent() {
     return () => {
       releaseWakeLock();
       isPlayingRef.current = false;
-      if (timerRef.current) clearInterval(timerRef.current);
+      if (clockRef.current) clockRef.current.stop();
       if (audioCtxRef.current) audioCtxRef.current.close();
+      midiClock.stop();
+      saveSessionLog(sessionLogRef.current);
     };
-  }, []);
-
-  // Phase error color
-  const absError = Math.abs(phaseError);
-  const errorColor = absError < 20 ? '#22c55e' : absError < 50 ? '#eab308' : '#ef4444';
-
-  // Async SD
-  const recentAsync = asyncHistory.slice(-32);
-  let asyncSD = 0;
-  if (recentAsync.length > 1) {
-    const mean = recentAsync.reduce((a, b) => a + b.async, 0) / recentAsync.length;
-    asyncSD = Math.sqrt(recentAsync.reduce((s, v) => s + (v.async - mean) ** 2, 0) / recentAsync.length);
-  }
-  const meanAsync = recentAsync.length > 0
-    ? recentAsync.reduce((a, b) => a + b.async, 0) / recentAsync.length
-    : 0;
+  }, [midiClock]);
 
-  const mode = PLL_MODES[modeIdx];
+  const recent = predictions.slice(-32);
+  const stat = key => {
+    if (recent.length < 2) return { mean: 0, sd: 0 };
+    const mean = recent.reduce((a, p) => a + p[key], 0) / recent.length;
+    return { mean, sd: Math.sqrt(recent.reduce((s, p) => s + (p[key] - mean) ** 2, 0) / recent.length) };
+  };
+  const predictionStats = stat('error');
+  const asyncStats = stat('async');
+  const lastError = recent.length > 0 ? recent[recent.length - 1].error : 0;
+  const errorColor = Math.abs(lastError) < 20 ? '#22c55e' : Math.abs(lastError) < 50 ? '#eab308' : '#ef4444';
+  const tapIOIs = recent.slice(1).map((p, i) => p.tap - recent[i].tap).filter(ioi => ioi < 1.5 * 60 / bpm);
+  const yourBPM = tapIOIs.length > 0 ? 60 / tapIOIs[tapIOIs.length - 1] : null;
 
   return (
     <div className="flex flex-col gap-3">
@@ -1254,9 +6142,20 @@ function PLLMetronomeComponent() {
         onSubdivisionChange={setSubdivision}
         refClick={refClick}
         onRefClickChange={setRefClick}
+        tempoPresets={tempoButtons(presets.library)}
       />
 
-      <BeatIndicator currentBeat={currentBeat} beatsPerBar={4} accentColor={ACCENT} />
+      <BeatIndicator
+        currentBeat={currentBeat}
+        beatsPerBar={meter.beats}
+        accents={meter.accents}
+        grouping={meter.grouping}
+        accentColor={ACCENT}
+      />
+      <MeterEditor meter={meter} onChange={setMeter} accentColor={ACCENT} />
+      {subdivision > 1 && (
+        <GrooveEditor groove={groove} onChange={setGroove} subdivision={subdivision} accentColor={ACCENT} />
+      )}
 
       {/* TAP button */}
       <button
@@ -1271,113 +6170,358 @@ function PLLMetronomeComponent() {
         TAP
       </button>
 
-      {/* Mode selector */}
+      <AudioInputPanel input={audioInput} accentColor={ACCENT} />
+      <MidiInputPanel input={midiInput} accentColor={ACCENT} />
+
       <div className="bg-gray-800 rounded-lg p-4 space-y-3">
-        <div className="text-xs text-gray-400 mb-2">Response Mode</div>
-        <div className="flex flex-wrap gap-1">
-          {PLL_MODES.map((m, i) => (
-            <button
-              key={m.label}
-              onClick={() => setModeIdx(i)}
-              className="px-3 py-1 text-xs rounded cursor-pointer transition-colors"
-              style={{
-                backgroundColor: modeIdx === i ? ACCENT : '#374151',
-                color: modeIdx === i ? '#111' : '#9CA3AF',
-              }}
-            >
-              {m.label}
-            </button>
-          ))}
+        <Slider
+          label="Anticipation"
+          min={0} max={100} step={1}
+          value={blend}
+          onChange={setBlend}
+          display={`${blend}%`}
+          accentColor={ACCENT}
+        />
+        <div className="text-xs text-gray-500">
+          {blend === 0 ? 'Pure adaptation — corrects after each of your taps'
+            : blend === 100 ? 'Pure anticipation — plays where it predicts your next tap'
+              : 'Corrects from your last tap and leans toward where it predicts the next one'}
         </div>
-        <div className="text-xs text-gray-500">{mode.desc}</div>
-
-        {mode.label === 'Custom' && (
-          <div className="space-y-2 pt-2">
-            <Slider
-              label="Kp (phase)"
-              min={-0.5} max={1.0} step={0.01}
-              value={customKp}
-              onChange={setCustomKp}
-              display={customKp.toFixed(2)}
-              accentColor={ACCENT}
-            />
-            <Slider
-              label="Ki (drift)"
-              min={0} max={0.1} step={0.001}
-              value={customKi}
-              onChange={setCustomKi}
-              display={customKi.toFixed(3)}
-              accentColor={ACCENT}
-            />
-          </div>
-        )}
+        <Slider
+          label="Phase corr. α"
+          min={0} max={1} step={0.01}
+          value={phaseGain}
+          onChange={setPhaseGain}
+          display={phaseGain.toFixed(2)}
+          accentColor={ACCENT}
+        />
+        <Slider
+          label="Period corr. β"
+          min={0} max={0.5} step={0.01}
+          value={periodGain}
+          onChange={setPeriodGain}
+          display={periodGain.toFixed(2)}
+          accentColor={ACCENT}
+        />
+        <Slider
+          label="Tap window"
+          min={3} max={12} step={1}
+          value={tapWindow}
+          onChange={setTapWindow}
+          display={`${tapWindow} taps`}
+          accentColor={ACCENT}
+        />
       </div>
 
-      {/* Phase error display */}
+      <PresetPanel engine="adam" presets={presets} config={params} onRecall={applyConfig} accentColor={ACCENT} />
+      <RoutinePanel engine="adam" presets={presets} isPlaying={isPlaying} progress={routineProgress} onRun={startPlayback} accentColor={ACCENT} />
+
+      {/* Prediction error display */}
       <div className="bg-gray-800 rounded-lg p-4 text-center">
-        <div className="text-xs text-gray-400 mb-1">Phase Error</div>
+        <div className="text-xs text-gray-400 mb-1">Prediction Error</div>
         <div className="text-4xl font-mono font-bold" style={{ color: errorColor }}>
-          {phaseError >= 0 ? '+' : ''}{phaseError.toFixed(1)}ms
+          {lastError >= 0 ? '+' : ''}{lastError.toFixed(1)}ms
         </div>
-        <div className="text-xs text-gray-500 mt-1">
-          {phaseError > 0 ? 'Late' : phaseError < 0 ? 'Early' : '—'}
+        <div className="flex justify-center gap-4 text-xs text-gray-500 mt-1">
+          <span>You: <span style={{ color: '#fff' }}>{yourBPM ? yourBPM.toFixed(1) : '—'} BPM</span></span>
+          <span>Predicted: <span style={{ color: ACCENT }}>{predictedBPM ? predictedBPM.toFixed(1) : '—'} BPM</span></span>
         </div>
       </div>
 
-      {/* Asynchrony timeline */}
+      {/* Predicted vs actual taps */}
       <div className="bg-gray-800 rounded-lg p-3">
-        <div className="text-xs text-gray-400 mb-2">Asynchrony Timeline (last 16 beats)</div>
+        <div className="text-xs text-gray-400 mb-2">Predicted vs Actual Taps (last 16)</div>
         <div className="relative h-20">
-          {recentAsync.slice(-16).map((entry, i) => {
+          {recent.slice(-16).map((entry, i) => {
             const x = (i / 15) * 100;
-            // Map async to vertical position: 0ms = center, ±100ms = edges
             const yCenter = 50;
-            const yOffset = Math.max(-45, Math.min(45, entry.async * 0.45));
+            const yOffset = Math.max(-45, Math.min(45, entry.error * 0.45));
             return (
               <div key={i} className="absolute" style={{ left: `${x}%`, top: 0, height: '100%', width: '2px' }}>
-                {/* Metronome beat marker */}
                 <div
                   className="absolute w-2 h-2 rounded-full -ml-1"
-                  style={{ top: `${yCenter}%`, backgroundColor: ACCENT }}
+                  style={{ top: `${yCenter}%`, border: `1px solid ${ACCENT}` }}
                 />
-                {/* Tap marker */}
                 <div
                   className="absolute w-2 h-2 rounded-full -ml-1"
                   style={{ top: `${yCenter + yOffset}%`, backgroundColor: '#fff' }}
                 />
-                {/* Connecting line */}
                 <div
                   className="absolute w-px -ml-px"
                   style={{
                     top: `${Math.min(yCenter, yCenter + yOffset)}%`,
                     height: `${Math.abs(yOffset)}%`,
-                    backgroundColor: errorColor,
+                    backgroundColor: ACCENT,
                     opacity: 0.5,
                   }}
                 />
               </div>
             );
           })}
-          {recentAsync.length === 0 && (
+          {recent.length === 0 && (
             <div className="text-xs text-gray-600 flex items-center justify-center h-full">
-              Tap along with the beat
+              Tap a few beats so the partner can read your tempo
             </div>
           )}
         </div>
         <div className="flex justify-between text-xs text-gray-600 mt-1">
-          <span>● Metronome</span>
-          <span>○ Your tap</span>
+          <span>○ Predicted</span>
+          <span>● Your tap (below = late)</span>
         </div>
       </div>
 
-      {/* Async stats */}
       <div className="flex gap-4 text-xs font-mono text-gray-400 justify-center">
-        <span>SD: <span style={{ color: ACCENT }}>{asyncSD.toFixed(1)}ms</span></span>
-        <span>Mean: <span style={{ color: ACCENT }}>{meanAsync.toFixed(1)}ms</span></span>
-        <span>NCO: <span style={{ color: ACCENT }}>{pllRef.current ? (60 / pllRef.current.getNextIOI()).toFixed(1) : bpm} BPM</span></span>
+        <span>Prediction SD: <span style={{ color: ACCENT }}>{predictionStats.sd.toFixed(1)}ms</span></span>
+        <span>Async mean: <span style={{ color: ACCENT }}>{asyncStats.mean.toFixed(1)}ms</span></span>
+        <span>Async SD: <span style={{ color: ACCENT }}>{asyncStats.sd.toFixed(1)}ms</span></span>
       </div>
 
       <MetricsPanel ioiHistory={ioiHistory} baseBPM={bpm} sessionStart={sessionStart} accentColor={ACCENT} />
+      <SessionExportBar getRecord={getSessionRecord} disabled={!sessionStart} />
+      <AnalysisPanel getSeries={getAnalysisSeries} accentColor={ACCENT} />
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Session History
+// ═══════════════════════════════════════════════════════════════════════
+function formatDuration(ms) {
+  const sec = Math.floor(ms / 1000);
+  return `${String(Math.floor(sec / 60)).padStart(2, '0')}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+function sessionStats(record) {
+  const iois = [];
+  for (let i = 1; i < record.beats.length; i++) iois.push(record.beats[i].time - record.beats[i - 1].time);
+  const mean = iois.length > 0 ? iois.reduce((a, b) => a + b, 0) / iois.length : 0;
+  const sd = iois.length > 1 ? Math.sqrt(iois.reduce((s, v) => s + (v - mean) ** 2, 0) / iois.length) : 0;
+  const asyncs = record.taps.map(t => t.async);
+  const asyncMean = asyncs.length > 0 ? asyncs.reduce((a, b) => a + b, 0) / asyncs.length : 0;
+  const asyncSD = asyncs.length > 1
+    ? Math.sqrt(asyncs.reduce((s, v) => s + (v - asyncMean) ** 2, 0) / asyncs.length)
+    : 0;
+  return { iois, mean, sd, asyncs, asyncMean, asyncSD };
+}
+
+// ─── Component: Session Charts (full-length IOI and asynchrony plots) ───
+function SessionCharts({ record, accentColor }) {
+  const { iois, mean, sd, asyncs, asyncMean, asyncSD } = sessionStats(record);
+  const baseIOI = 60 / record.params.bpm;
+  const ioiMin = Math.min(baseIOI * 0.9, ...iois);
+  const ioiMax = Math.max(baseIOI * 1.1, ...iois);
+  const ioiY = v => 40 - ((v - ioiMin) / (ioiMax - ioiMin)) * 40;
+  const ioiPoints = iois.map((v, i) => `${(i / Math.max(1, iois.length - 1)) * 100},${ioiY(v)}`).join(' ');
+  const asyncLimit = Math.max(50, ...asyncs.map(Math.abs));
+
+  return (
+    <div className="space-y-3">
+      <div className="bg-gray-800 rounded-lg p-3">
+        <div className="text-xs text-gray-400 mb-2">IOI over session ({iois.length} beats)</div>
+        <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-24">
+          <line x1="0" x2="100" y1={ioiY(baseIOI)} y2={ioiY(baseIOI)} stroke="#4b5563" strokeWidth="0.3" strokeDasharray="1 1" />
+          <polyline points={ioiPoints} fill="none" stroke={accentColor} strokeWidth="0.4" vectorEffect="non-scaling-stroke" />
+        </svg>
+        <div className="flex justify-between text-xs text-gray-600 mt-1">
+          <span>{(ioiMin * 1000).toFixed(0)}–{(ioiMax * 1000).toFixed(0)}ms</span>
+          <span>Base IOI: {(baseIOI * 1000).toFixed(0)}ms</span>
+        </div>
+      </div>
+
+      {asyncs.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-3">
+          <div className="text-xs text-gray-400 mb-2">Tap asynchrony ({asyncs.length} taps)</div>
+          <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-24">
+            <line x1="0" x2="100" y1="20" y2="20" stroke="#4b5563" strokeWidth="0.3" />
+            {asyncs.map((a, i) => (
+              <circle
+                key={i}
+                cx={(i / Math.max(1, asyncs.length - 1)) * 100}
+                cy={20 - (a / asyncLimit) * 18}
+                r="0.6"
+                fill={accentColor}
+              />
+            ))}
+          </svg>
+          <div className="flex justify-between text-xs text-gray-600 mt-1">
+            <span>↑ Late</span>
+            <span>±{asyncLimit.toFixed(0)}ms</span>
+            <span>↓ Early</span>
+          </div>
+        </div>
+      )}
+
+      {record.order && record.order.length > 1 && (
+        <div className="bg-gray-800 rounded-lg p-3">
+          <div className="text-xs text-gray-400 mb-2">Order parameter (r) over session</div>
+          <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-20">
+            <polyline
+              points={record.order.map((o, i) => `${(i / (record.order.length - 1)) * 100},${40 - o.r * 40}`).join(' ')}
+              fill="none" stroke={accentColor} strokeWidth="0.4" vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+          <div className="flex justify-between text-xs text-gray-600 mt-1">
+            <span>r = 0</span>
+            <span>Mean r: {(record.order.reduce((a, o) => a + o.r, 0) / record.order.length).toFixed(2)}</span>
+            <span>r = 1</span>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-4 text-xs font-mono text-gray-400 justify-center">
+        <span>Mean BPM: <span style={{ color: accentColor }}>{mean > 0 ? (60 / mean).toFixed(1) : '—'}</span></span>
+        <span>SD: <span style={{ color: accentColor }}>{(sd * 1000).toFixed(1)}ms</span></span>
+        <span>CV: <span style={{ color: accentColor }}>{mean > 0 ? ((sd / mean) * 100).toFixed(2) : '0.00'}%</span></span>
+        {asyncs.length > 0 && (
+          <>
+            <span>Async mean: <span style={{ color: accentColor }}>{asyncMean.toFixed(1)}ms</span></span>
+            <span>Async SD: <span style={{ color: accentColor }}>{asyncSD.toFixed(1)}ms</span></span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SessionHistory() {
+  const [sessions, setSessions] = useState(null);
+  const [open, setOpen] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => {
+    listSessions()
+      .then(setSessions)
+      .catch(err => setError(err.message || 'Session storage unavailable'));
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const openSession = (id) => {
+    loadSession(id).then(setOpen).catch(err => setError(err.message));
+  };
+
+  // Imported files open straight into the viewer; they are only stored if asked
+  const importFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text()
+      .then(text => setOpen(sessionFromJSON(JSON.parse(text))))
+      .catch(err => setError(`Import failed: ${err.message}`));
+  };
+
+  const saveImported = () => {
+    saveSession(open)
+      .then(id => {
+        setOpen({ ...open, id });
+        refresh();
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const removeSession = (id) => {
+    deleteSession(id)
+      .then(() => {
+        if (open && open.id === id) setOpen(null);
+        refresh();
+      })
+      .catch(err => setError(err.message));
+  };
+
+  if (open) {
+    const tab = TABS.find(t => t.id === open.engine);
+    const color = tab ? tab.color : '#9ca3af';
+    return (
+      <div className="flex flex-col gap-3">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setOpen(null)}
+            className="text-xs text-gray-500 hover:text-gray-300 cursor-pointer"
+          >
+            ◂ All sessions
+          </button>
+          <span className="text-sm" style={{ color }}>{tab ? tab.label : open.engine}</span>
+          <span className="text-xs text-gray-500">
+            {new Date(open.startedAt).toLocaleString()} · {formatDuration(open.duration)}
+          </span>
+        </div>
+        <div className="bg-gray-800 rounded-lg p-3 text-xs font-mono text-gray-400 flex flex-wrap gap-x-4 gap-y-1">
+          {Object.entries(open.params).map(([k, v]) => (
+            <span key={k}>{k}: <span style={{ color }}>{String(v)}</span></span>
+          ))}
+        </div>
+        <SessionCharts record={open} accentColor={color} />
+        <div className="flex items-center justify-center gap-2 text-xs text-gray-500">
+          <span>Export:</span>
+          {[['csv', 'CSV'], ['json', 'JSON'], ['midi', '.mid tempo map']].map(([format, label]) => (
+            <button
+              key={format}
+              onClick={() => exportSession(open, format)}
+              className="px-2 py-0.5 rounded cursor-pointer transition-colors bg-gray-700 text-gray-300"
+            >
+              {label}
+            </button>
+          ))}
+          {open.id === undefined ? (
+            <button
+              onClick={saveImported}
+              className="px-2 py-0.5 rounded cursor-pointer transition-colors bg-gray-700 text-gray-300"
+            >
+              Save to history
+            </button>
+          ) : (
+            <button
+              onClick={() => removeSession(open.id)}
+              className="px-2 py-0.5 rounded cursor-pointer transition-colors bg-gray-700 text-red-400"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-xs text-gray-400">Past sessions</div>
+        <label className="px-2 py-0.5 text-xs rounded cursor-pointer bg-gray-700 text-gray-300">
+          Import JSON
+          <input type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+        </label>
+      </div>
+      {error && <div className="text-xs text-red-400">{error}</div>}
+      {sessions && sessions.length === 0 && (
+        <div className="text-xs text-gray-600 text-center py-4">No sessions yet — they are saved when you press stop</div>
+      )}
+      <div className="divide-y divide-gray-700">
+        {(sessions || []).map(session => {
+          const tab = TABS.find(t => t.id === session.engine);
+          return (
+            <div key={session.id} className="flex items-center gap-3 py-2 text-xs">
+              <span className="w-20 shrink-0" style={{ color: tab ? tab.color : '#9ca3af' }}>
+                {tab ? tab.label : session.engine}
+              </span>
+              <span className="text-gray-400 flex-1">{new Date(session.startedAt).toLocaleString()}</span>
+              <span className="font-mono text-gray-500">{session.params.bpm} BPM</span>
+              <span className="font-mono text-gray-500">{formatDuration(session.duration)}</span>
+              <button
+                onClick={() => openSession(session.id)}
+                className="px-2 py-0.5 rounded cursor-pointer bg-gray-700 text-gray-300"
+              >
+                Open
+              </button>
+              <button
+                onClick={() => removeSession(session.id)}
+                className="px-2 py-0.5 rounded cursor-pointer bg-gray-700 text-red-400"
+              >
+                ✕
+              </button>
+            </div>
+          );
+        })}
+      </div>
     </div>
   );
 }
@@ -1388,13 +6532,48 @@ function PLLMetronomeComponent() {
 const TABS = [
   { id: 'fractal', label: '1/f Fractal', color: '#14b8a6' },
   { id: 'kuramoto', label: 'Kuramoto', color: '#8b5cf6' },
+  { id: 'wk', label: 'Two-Level', color: '#f43f5e' },
   { id: 'pll', label: 'PLL', color: '#f59e0b' },
+  { id: 'adam', label: 'ADAM', color: '#0ea5e9' },
+  { id: 'history', label: 'History', color: '#9ca3af' },
 ];
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState('fractal');
+  const [initial] = useState(() => parseConfigFromURL(window.location.search));
+  const [activeTab, setActiveTab] = useState(initial.tab);
+  // Engine settings live here so remounts and shared links restore them
+  const [configs, setConfigs] = useState(initial.configs);
+  const [copied, setCopied] = useState(false);
+  const midiClock = useMidiClockOutput();
+  const clickKit = useClickKit();
+  const drumMachine = useDrumMachine();
+  const presets = usePresetLibrary();
   // Use keys to force remount (which stops playback) on tab switch
-  const [keys, setKeys] = useState({ fractal: 0, kuramoto: 0, pll: 0 });
+  const [keys, setKeys] = useState({ fractal: 0, kuramoto: 0, wk: 0, pll: 0, adam: 0, history: 0 });
+
+  // Seeds the tabs are showing; a shared link fixes it, so whoever opens it hears the same run
+  const shownSeedsRef = useRef({});
+  const updateConfig = useCallback((engine, config, shownSeed) => {
+    setConfigs(prev => ({ ...prev, [engine]: config }));
+    if (shownSeed !== undefined) shownSeedsRef.current[engine] = shownSeed;
+  }, []);
+
+  useEffect(() => {
+    const query = configToQuery(activeTab, configs[activeTab]);
+    window.history.replaceState(null, '', `${window.location.pathname}?${query}`);
+  }, [activeTab, configs]);
+
+  const copyLink = () => {
+    const config = configs[activeTab];
+    const seed = shownSeedsRef.current[activeTab];
+    const query = configToQuery(activeTab, seed === undefined ? config : { ...config, seed });
+    navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}?${query}`)
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      })
+      .catch(() => { /* clipboard unavailable */ });
+  };
 
   const switchTab = (tabId) => {
     if (tabId === activeTab) return;
@@ -1408,6 +6587,11 @@ export default function App() {
       <h1 className="text-xl font-bold text-center mb-1">Modulating Metronomes</h1>
       <p className="text-xs text-gray-500 text-center mb-4">
         Scientifically-grounded tempo modulation for timing training
+        {activeTab !== 'history' && (
+          <button onClick={copyLink} className="ml-2 text-gray-400 hover:text-gray-200 cursor-pointer">
+            {copied ? '✓ Link copied' : '🔗 Share setup'}
+          </button>
+        )}
       </p>
 
       {/* Tab navigation */}
@@ -1429,9 +6613,30 @@ export default function App() {
       </div>
 
       {/* Active metronome */}
-      {activeTab === 'fractal' && <FractalMetronome key={keys.fractal} />}
-      {activeTab === 'kuramoto' && <KuramotoMetronome key={keys.kuramoto} />}
-      {activeTab === 'pll' && <PLLMetronomeComponent key={keys.pll} />}
+      {activeTab === 'fractal' && (
+        <FractalMetronome clickKit={clickKit.kit} drums={drumMachine.drums} key={keys.fractal} midiClock={midiClock.clock} config={configs.fractal} onConfigChange={updateConfig} presets={presets} />
+      )}
+      {activeTab === 'kuramoto' && (
+        <KuramotoMetronome clickKit={clickKit.kit} drums={drumMachine.drums} key={keys.kuramoto} midiClock={midiClock.clock} config={configs.kuramoto} onConfigChange={updateConfig} presets={presets} />
+      )}
+      {activeTab === 'wk' && (
+        <WKMetronome clickKit={clickKit.kit} drums={drumMachine.drums} key={keys.wk} midiClock={midiClock.clock} config={configs.wk} onConfigChange={updateConfig} presets={presets} />
+      )}
+      {activeTab === 'pll' && (
+        <PLLMetronomeComponent clickKit={clickKit.kit} drums={drumMachine.drums} key={keys.pll} midiClock={midiClock.clock} config={configs.pll} onConfigChange={updateConfig} presets={presets} />
+      )}
+      {activeTab === 'adam' && (
+        <AdamMetronome clickKit={clickKit.kit} drums={drumMachine.drums} key={keys.adam} midiClock={midiClock.clock} config={configs.adam} onConfigChange={updateConfig} presets={presets} />
+      )}
+      {activeTab === 'history' && <SessionHistory key={keys.history} />}
+
+      {activeTab !== 'history' && (
+        <div className="mt-3 space-y-3">
+          <SoundKitPanel clickKit={clickKit} accentColor={TABS.find(t => t.id === activeTab).color} />
+          <DrumPanel drumMachine={drumMachine} accentColor={TABS.find(t => t.id === activeTab).color} />
+          <MidiClockPanel midiClock={midiClock} accentColor={TABS.find(t => t.id === activeTab).color} />
+        </div>
+      )}
 
       <div className="text-center text-xs text-gray-600 mt-6">
         Built for house & EDM guitarists · 115–135 BPM sweet spot
@@ -0,0 +1,415 @@
+// Kuramoto ensemble model. The Kuramoto tab runs it in kuramoto.worker.js; offline renders
+// and the analysis panel run it directly.
+import { createRng } from './rng.js';
+
+// ─── Kuramoto Coupling Networks (topologies, sections, phase lags) ──────
+export const KURAMOTO_TOPOLOGIES = [
+  { id: 'all', label: 'All-to-all', desc: 'Everyone hears everyone' },
+  { id: 'ring', label: 'Ring', desc: 'Each player hears only the two beside them' },
+  { id: 'nearest', label: 'Neighbours', desc: 'Each player hears the nearest few on either side' },
+  { id: 'smallWorld', label: 'Small-world', desc: 'Neighbours plus a few random long-range links' },
+  { id: 'sections', label: 'Sections', desc: 'Tight inside each section, looser between them' },
+];
+export const SECTION_NAMES = ['Rhythm', 'Horns', 'Strings', 'Keys'];
+export const SECTION_COLORS = ['#8b5cf6', '#f59e0b', '#14b8a6', '#ec4899'];
+export const MAX_SECTIONS = SECTION_NAMES.length;
+
+// crossWeights/crossLags follow sectionPairs order; a lag of +δ on (a, b) is −δ on (b, a)
+export const DEFAULT_NETWORK = {
+  topology: 'all',
+  reach: 2,             // neighbours on each side (Neighbours and Small-world)
+  rewire: 0.1,          // Small-world rewiring probability
+  sections: [50, 50],   // share of the ensemble in each section
+  crossWeights: [0.1],  // coupling between sections, relative to inside one
+  crossLags: [0],       // phase lag between sections, degrees
+};
+
+export function sectionPairs(count) {
+  const pairs = [];
+  for (let a = 0; a < count; a++) {
+    for (let b = a + 1; b < count; b++) pairs.push([a, b]);
+  }
+  return pairs;
+}
+
+// Splits N oscillators into contiguous sections in proportion to their shares
+export function sectionAssignments(shares, N) {
+  const total = shares.reduce((a, b) => a + b, 0);
+  const sectionOf = [];
+  let cumulative = 0;
+  shares.forEach((share, s) => {
+    cumulative += share;
+    const end = s === shares.length - 1 ? N : Math.round((N * cumulative) / total);
+    while (sectionOf.length < end) sectionOf.push(s);
+  });
+  return sectionOf;
+}
+
+// Change the number of sections, keeping the settings of the pairs that survive
+export function resizeSections(network, count) {
+  const previous = new Map(sectionPairs(network.sections.length).map(([a, b], i) =>
+    [`${a}-${b}`, [network.crossWeights[i], network.crossLags[i]]]));
+  const pairs = sectionPairs(count);
+  const kept = pairs.map(([a, b]) => previous.get(`${a}-${b}`) || [DEFAULT_NETWORK.crossWeights[0], 0]);
+  return {
+    ...network,
+    sections: Array.from({ length: count }, (_, s) => network.sections[s] ?? 30),
+    crossWeights: kept.map(k => k[0]),
+    crossLags: kept.map(k => k[1]),
+  };
+}
+
+// Mean-field networks (all-to-all, sections) come back as section-to-section weights and lags
+// (radians); ring-like ones as neighbour lists. rowWeights is each oscillator's total coupling.
+function buildCouplingNetwork(network, N, rng) {
+  if (network.topology === 'all' || network.topology === 'sections') {
+    const count = network.topology === 'all' ? 1 : network.sections.length;
+    const sectionOf = count === 1 ? new Array(N).fill(0) : sectionAssignments(network.sections, N);
+    const sectionWeights = Array.from({ length: count }, () => new Array(count).fill(1));
+    const sectionLags = Array.from({ length: count }, () => new Array(count).fill(0));
+    sectionPairs(count).forEach(([a, b], p) => {
+      sectionWeights[a][b] = network.crossWeights[p];
+      sectionWeights[b][a] = network.crossWeights[p];
+      sectionLags[a][b] = (network.crossLags[p] * Math.PI) / 180;
+      sectionLags[b][a] = -sectionLags[a][b];
+    });
+    const sizes = new Array(count).fill(0);
+    sectionOf.forEach(s => sizes[s]++);
+    const rowWeights = sectionOf.map(s => sectionWeights[s].reduce((sum, w, t) => sum + w * sizes[t], 0));
+    return { sectionOf, sectionWeights, sectionLags, neighbours: null, rowWeights };
+  }
+
+  const linked = Array.from({ length: N }, () => new Set());
+  const link = (i, j) => { linked[i].add(j); linked[j].add(i); };
+  const unlink = (i, j) => { linked[i].delete(j); linked[j].delete(i); };
+  const reach = Math.min(network.topology === 'ring' ? 1 : network.reach, Math.floor((N - 1) / 2));
+  for (let i = 0; i < N; i++) {
+    for (let d = 1; d <= reach; d++) link(i, (i + d) % N);
+  }
+  if (network.topology === 'smallWorld') {
+    // Watts–Strogatz: move each ring link to a random new partner with probability `rewire`
+    for (let d = 1; d <= reach; d++) {
+      for (let i = 0; i < N; i++) {
+        const j = (i + d) % N;
+        if (!linked[i].has(j) || rng() >= network.rewire) continue;
+        const free = [];
+        for (let k = 0; k < N; k++) if (k !== i && !linked[i].has(k)) free.push(k);
+        if (free.length === 0) continue;
+        unlink(i, j);
+        link(i, free[Math.floor(rng() * free.length)]);
+      }
+    }
+  }
+  const neighbours = linked.map(set => [...set]);
+  return {
+    sectionOf: new Array(N).fill(0),
+    sectionWeights: [[1]],
+    sectionLags: [[0]],
+    neighbours,
+    rowWeights: neighbours.map(list => list.length),
+  };
+}
+
+// Order parameter r of each section from a snapshot of phases
+export function sectionOrders(phases, sectionOf, count) {
+  return Array.from({ length: count }, (_, s) => {
+    let sumCos = 0;
+    let sumSin = 0;
+    let n = 0;
+    phases.forEach((phase, i) => {
+      if (sectionOf[i] !== s) return;
+      sumCos += Math.cos(phase);
+      sumSin += Math.sin(phase);
+      n++;
+    });
+    return n > 0 ? Math.hypot(sumCos, sumSin) / n : 0;
+  });
+}
+
+// ─── Kuramoto Ensemble ──────────────────────────────────────────────────
+// Integrated with RK4. All-to-all and section networks use the mean field of each section,
+// O(N·sections) per evaluation; ring-like networks sum over their neighbour lists.
+export class KuramotoEnsemble {
+  constructor(N = 16, baseBPM = 125, spread = 0.03, coupling = 3.0, rng = Math.random) {
+    this.rng = rng;
+    this.N = N;
+    this.baseFreq = baseBPM / 60;
+    this.coupling = coupling;
+    this.spread = spread;
+    this.frustration = 0;
+    // The human player as an external forcing oscillator; null while they aren't tapping
+    this.playerPhase = null;
+    this.playerRate = 0;
+    this.playerCoupling = 0;
+    // Initialize phases clustered near 0 (±π/6) so ensemble starts synchronized
+    this.phases = new Array(N).fill(0).map(() => (this.rng() - 0.5) * Math.PI / 3);
+    this.naturalFreqs = new Array(N).fill(0).map(() => this.drawFrequency(this.baseFreq, spread));
+    this.setNetwork(DEFAULT_NETWORK);
+  }
+
+  setNetwork(network) {
+    this.network = network;
+    Object.assign(this, buildCouplingNetwork(network, this.N, this.rng));
+  }
+
+  // Angular frequency (rad/s) within ±spread of the base tempo, so ψ advances 2π per beat
+  drawFrequency(baseFreq, spread) {
+    return 2 * Math.PI * baseFreq * (1 + (this.rng() * 2 - 1) * spread);
+  }
+
+  // dθ/dt for every oscillator, tau seconds into the current step
+  derivatives(phases, tau) {
+    const { N, sectionOf, sectionWeights, sectionLags, neighbours, rowWeights, frustration } = this;
+    const d = new Float64Array(N);
+    const playerPhase = this.playerPhase === null ? null : this.playerPhase + this.playerRate * tau;
+
+    // Σ_j sin(θj − shift) over a section is Im(Z e^{−i·shift}), with Z = Σ_j e^{iθj}
+    let re = null;
+    let im = null;
+    if (!neighbours) {
+      re = new Float64Array(sectionWeights.length);
+      im = new Float64Array(sectionWeights.length);
+      for (let j = 0; j < N; j++) {
+        re[sectionOf[j]] += Math.cos(phases[j]);
+        im[sectionOf[j]] += Math.sin(phases[j]);
+      }
+    }
+
+    for (let i = 0; i < N; i++) {
+      let couplingSum = 0;
+      if (neighbours) {
+        for (const j of neighbours[i]) couplingSum += Math.sin(phases[j] - phases[i] - frustration);
+      } else {
+        const weights = sectionWeights[sectionOf[i]];
+        const lags = sectionLags[sectionOf[i]];
+        for (let t = 0; t < weights.length; t++) {
+          if (weights[t] === 0) continue;
+          const shift = phases[i] + frustration + lags[t];
+          couplingSum += weights[t] * (im[t] * Math.cos(shift) - re[t] * Math.sin(shift));
+        }
+      }
+      const couplingGain = rowWeights[i] > 0 ? this.coupling / rowWeights[i] : 0;
+      const forcing = playerPhase === null
+        ? 0
+        : this.playerCoupling * Math.sin(playerPhase - phases[i] - frustration);
+      d[i] = this.naturalFreqs[i] + couplingGain * couplingSum + forcing;
+    }
+    return d;
+  }
+
+  step(dt) {
+    const { N, phases } = this;
+    const along = (k, h) => phases.map((p, i) => p + k[i] * h);
+    const k1 = this.derivatives(phases, 0);
+    const k2 = this.derivatives(along(k1, dt / 2), dt / 2);
+    const k3 = this.derivatives(along(k2, dt / 2), dt / 2);
+    const k4 = this.derivatives(along(k3, dt), dt);
+    const next = new Array(N);
+    for (let i = 0; i < N; i++) next[i] = phases[i] + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+    this.phases = next;
+  }
+
+  getOrderParameter() {
+    let sumCos = 0, sumSin = 0;
+    for (let i = 0; i < this.N; i++) {
+      sumCos += Math.cos(this.phases[i]);
+      sumSin += Math.sin(this.phases[i]);
+    }
+    const r = Math.sqrt(sumCos * sumCos + sumSin * sumSin) / this.N;
+    const psi = Math.atan2(sumSin, sumCos);
+    return { r, psi };
+  }
+
+  getPhases() {
+    return this.phases.map(p => ((p % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI));
+  }
+
+  setPlayerCoupling(coupling) {
+    this.playerCoupling = coupling;
+  }
+
+  // phase in radians (null when the player isn't tapping) and rate in rad/s
+  setPlayerPhase(phase, rate) {
+    this.playerPhase = phase;
+    this.playerRate = rate;
+  }
+
+  reconfigure(N, baseBPM, spread, coupling, frustration) {
+    const newBaseFreq = baseBPM / 60;
+    if (N !== this.N) {
+      // Get mean phase BEFORE changing N (old array length must match old this.N)
+      const { psi } = this.getOrderParameter();
+      this.N = N;
+      this.phases = new Array(N).fill(0).map(() => psi + (this.rng() - 0.5) * Math.PI / 3);
+      this.naturalFreqs = new Array(N).fill(0).map(() => this.drawFrequency(newBaseFreq, spread));
+      this.setNetwork(this.network);
+    } else if (spread !== this.spread || Math.abs(newBaseFreq - this.baseFreq) > 0.001) {
+      this.naturalFreqs = new Array(N).fill(0).map(() => this.drawFrequency(newBaseFreq, spread));
+    }
+    this.baseFreq = newBaseFreq;
+    this.spread = spread;
+    this.coupling = coupling;
+    this.frustration = frustration;
+  }
+}
+
+// ─── Player Phase (the human's taps as one more oscillator) ─────────────
+// Each tap resets the phase to 0 and it then runs at the player's recent tempo, so the
+// phase can be extrapolated over the time the simulation runs ahead of the audio.
+export class PlayerPhase {
+  constructor(lastTap, period) {
+    this.lastTap = lastTap;
+    this.period = period;
+  }
+
+  rate() {
+    return (2 * Math.PI) / this.period;
+  }
+
+  // Phase since the last tap at an AudioContext time; null once the player has stopped
+  phaseAt(time) {
+    const elapsed = time - this.lastTap;
+    if (elapsed > 2 * this.period) return null;
+    return (2 * Math.PI * elapsed) / this.period;
+  }
+}
+
+// ─── Kuramoto Beat Tracker (a beat each time ψ advances 2π) ─────────────
+const KURAMOTO_DT = 0.002;      // RK4 step, seconds
+const KURAMOTO_SEARCH = 3;      // seconds simulated before giving up on a beat
+const KURAMOTO_WARMUP = 2;      // seconds simulated before the first beat
+const SNAPSHOT_INTERVAL = 1 / 60;
+
+export class KuramotoBeatTracker {
+  constructor(ensemble) {
+    this.ensemble = ensemble;
+    this.simTime = 0;
+    this.lastBeatSimTime = 0;
+    this.cumPhase = 0;
+    this.lastBeatPhase = 0;
+    this.prevPsi = ensemble.getOrderParameter().psi;
+    // Beats fire whenever ψ comes back round to its starting value, so a tap on the beat is θ = beatPsi
+    this.beatPsi = this.prevPsi;
+    this.player = null;
+    this.audioOffset = 0;  // AudioContext time of simTime 0
+    this.wraps = null;     // [{ index, time }] once enableWraps is called
+    this.snapshots = null; // [{ time, phases, r, psi, playerPhase }] once enableSnapshots is called
+    this.nextSnapshot = 0;
+  }
+
+  // Start noting each oscillator's own 2π wrap (measured from beatPsi, so a locked ensemble wraps on the beat)
+  enableWraps(enabled = true) {
+    this.wraps = enabled ? [] : null;
+  }
+
+  // Start keeping the ensemble state every frame, stamped with its AudioContext time
+  enableSnapshots() {
+    this.snapshots = [];
+    this.nextSnapshot = this.simTime;
+  }
+
+  noteWraps(prevPhases) {
+    const phases = this.ensemble.phases;
+    if (prevPhases.length !== phases.length) return;
+    const cycle = 2 * Math.PI;
+    for (let i = 0; i < phases.length; i++) {
+      const before = Math.floor((prevPhases[i] - this.beatPsi) / cycle);
+      const after = Math.floor((phases[i] - this.beatPsi) / cycle);
+      if (after <= before) continue;
+      // Interpolate where inside the step the phase crossed the boundary
+      const boundary = this.beatPsi + after * cycle;
+      const fraction = (boundary - prevPhases[i]) / (phases[i] - prevPhases[i]);
+      this.wraps.push({ index: i, time: this.simTime - KURAMOTO_DT * (1 - fraction) + this.audioOffset });
+    }
+  }
+
+  noteSnapshot() {
+    if (this.simTime < this.nextSnapshot) return;
+    this.nextSnapshot += SNAPSHOT_INTERVAL;
+    const ens = this.ensemble;
+    const { r, psi } = ens.getOrderParameter();
+    this.snapshots.push({
+      time: this.simTime + this.audioOffset,
+      phases: Float32Array.from(ens.getPhases()),
+      r,
+      psi,
+      playerPhase: ens.playerPhase,
+    });
+  }
+
+  // Wraps found since the last call, in AudioContext time
+  takeWraps() {
+    const wraps = this.wraps || [];
+    if (this.wraps) this.wraps = [];
+    return wraps;
+  }
+
+  takeSnapshots() {
+    const snapshots = this.snapshots || [];
+    if (this.snapshots) this.snapshots = [];
+    return snapshots;
+  }
+
+  setPlayer(player) {
+    this.player = player;
+  }
+
+  // The beat just returned by nextIOI sounds at audioTime
+  alignBeat(audioTime) {
+    this.audioOffset = audioTime - this.lastBeatSimTime;
+  }
+
+  nextIOI(baseIOI) {
+    const ens = this.ensemble;
+    const dt = KURAMOTO_DT;
+    let prevPsi = this.prevPsi;
+    const targetPhase = this.lastBeatPhase + 2 * Math.PI;
+
+    for (let i = 0; i < KURAMOTO_SEARCH / dt; i++) {
+      const phase = this.player ? this.player.phaseAt(this.simTime + this.audioOffset) : null;
+      ens.setPlayerPhase(phase === null ? null : this.beatPsi + phase, phase === null ? 0 : this.player.rate());
+      const prevPhases = ens.phases;
+      ens.step(dt);
+      this.simTime += dt;
+      if (this.wraps) this.noteWraps(prevPhases);
+      if (this.snapshots) this.noteSnapshot();
+      const { psi } = ens.getOrderParameter();
+
+      // Unwrap phase delta: compute how much psi advanced this step
+      let dpsi = psi - prevPsi;
+      if (dpsi > Math.PI) dpsi -= 2 * Math.PI;
+      if (dpsi < -Math.PI) dpsi += 2 * Math.PI;
+      const prevCumPhase = this.cumPhase;
+      this.cumPhase += dpsi;
+      prevPsi = psi;
+
+      // Beat fires when cumulative phase reaches the next 2π boundary, placed inside the step
+      if (this.cumPhase >= targetPhase) {
+        this.prevPsi = psi;
+        this.lastBeatPhase = targetPhase; // snap to exact target to prevent drift
+        const fraction = dpsi > 0 ? (targetPhase - prevCumPhase) / dpsi : 1;
+        const beatTime = this.simTime - dt * (1 - fraction);
+        const ioi = beatTime - this.lastBeatSimTime;
+        this.lastBeatSimTime = beatTime;
+        // Clamp to reasonable range (±30% of base)
+        return Math.max(baseIOI * 0.7, Math.min(baseIOI * 1.4, ioi));
+      }
+    }
+    this.prevPsi = prevPsi;
+    // Fallback: use base IOI
+    this.lastBeatSimTime = this.simTime;
+    this.lastBeatPhase = targetPhase;
+    return baseIOI;
+  }
+}
+
+export function createKuramotoTracker(ensembleSize, bpm, spread, coupling, frustration, seed, network = DEFAULT_NETWORK) {
+  const ens = new KuramotoEnsemble(ensembleSize, bpm, spread / 100, coupling, createRng(seed));
+  ens.frustration = frustration * Math.PI / 180;
+  ens.setNetwork(network);
+  // Warm up so the ensemble locks before generating beats
+  for (let i = 0; i < KURAMOTO_WARMUP / KURAMOTO_DT; i++) {
+    ens.step(KURAMOTO_DT);
+  }
+  return new KuramotoBeatTracker(ens);
+}
@@ -0,0 +1,103 @@
+// Runs the Kuramoto ensemble off the UI thread. Each scheduler tick posts the AudioContext
+// time; the worker keeps beats simulated a little past it and streams them back together
+// with the oscillators' own wraps and per-frame snapshots for the circle.
+import { createKuramotoTracker, PlayerPhase } from './kuramoto.js';
+import { ROUTINE_PARAMS, RoutineRunner } from './routine.js';
+
+const HORIZON = 0.5; // seconds of beats kept ready ahead of the audio clock
+
+let tracker = null;
+let settings = null;
+let nextBeatTime = 0;
+let beatIndex = 0;
+let meterBeats = 4;
+let routine = null;
+
+function configure(changes) {
+  settings = { ...settings, ...changes };
+  const { ensembleSize, bpm, spread, coupling, frustration } = settings;
+  tracker.ensemble.reconfigure(ensembleSize, bpm, spread / 100, coupling, frustration * Math.PI / 180);
+}
+
+function fill(now) {
+  const beats = [];
+  while (nextBeatTime < now + HORIZON) {
+    const beat = { time: nextBeatTime };
+    // The routine runs here rather than on the UI thread, which only hears a bar once it has
+    // been simulated: its values take effect at the bar line, before the IOI from it is drawn
+    if (routine && beatIndex % meterBeats === 0) {
+      const values = routine.bar(beat.time);
+      if (values) configure(values);
+      beat.routine = { values, progress: routine.progress() };
+    }
+    beat.ioi = tracker.nextIOI(60.0 / settings.bpm);
+    nextBeatTime += beat.ioi;
+    tracker.alignBeat(nextBeatTime);
+    beat.r = tracker.ensemble.getOrderParameter().r;
+    beats.push(beat);
+    beatIndex++;
+  }
+  const snapshots = tracker.takeSnapshots();
+  self.postMessage(
+    { type: 'beats', beats, wraps: tracker.takeWraps(), snapshots },
+    snapshots.map(s => s.phases.buffer),
+  );
+}
+
+// A one-off run on a fresh ensemble, for analysis and offline renders. The first `skip` IOIs
+// are dropped; after that it stops at maxBeats IOIs or once they add up to duration seconds.
+function series({ settings, skip, maxBeats, duration }) {
+  const { ensembleSize, bpm, spread, coupling, frustration, seed, network } = settings;
+  const run = createKuramotoTracker(ensembleSize, bpm, spread, coupling, frustration, seed, network);
+  const baseIOI = 60.0 / bpm;
+  for (let i = 0; i < skip; i++) run.nextIOI(baseIOI);
+  const iois = [];
+  let total = 0;
+  while (iois.length < maxBeats && total < duration) {
+    const ioi = run.nextIOI(baseIOI);
+    iois.push(ioi);
+    total += ioi;
+  }
+  self.postMessage({ type: 'series', iois });
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'series') {
+    series(msg);
+    return;
+  }
+  if (msg.type === 'start') {
+    settings = msg.settings;
+    const { ensembleSize, bpm, spread, coupling, frustration, seed, network, playerCoupling, wraps } = settings;
+    tracker = createKuramotoTracker(ensembleSize, bpm, spread, coupling, frustration, seed, network);
+    tracker.ensemble.setPlayerCoupling(playerCoupling);
+    beatIndex = 0;
+    meterBeats = msg.meterBeats;
+    routine = msg.routine && new RoutineRunner(msg.routine, ROUTINE_PARAMS.kuramoto, { bpm, coupling, spread });
+    // The first beat lands one simulated IOI after startTime
+    tracker.alignBeat(msg.startTime);
+    nextBeatTime = msg.startTime + tracker.nextIOI(60.0 / bpm);
+    tracker.alignBeat(nextBeatTime);
+    tracker.enableWraps(wraps);
+    tracker.enableSnapshots();
+    fill(msg.startTime);
+    return;
+  }
+  if (!tracker) return;
+  if (msg.type === 'tick') {
+    fill(msg.now);
+  } else if (msg.type === 'settings') {
+    configure(msg.settings);
+  } else if (msg.type === 'meter') {
+    meterBeats = msg.beats;
+  } else if (msg.type === 'network') {
+    tracker.ensemble.setNetwork(msg.network);
+  } else if (msg.type === 'playerCoupling') {
+    tracker.ensemble.setPlayerCoupling(msg.coupling);
+  } else if (msg.type === 'player') {
+    tracker.setPlayer(msg.period ? new PlayerPhase(msg.lastTap, msg.period) : null);
+  } else if (msg.type === 'wraps') {
+    tracker.enableWraps(msg.enabled);
+  }
+};
@@ -0,0 +1,17 @@
+// ─── Seeded PRNG (mulberry32) ───────────────────────────────────────────
+// Every engine draws from one of these so a seed reproduces a run exactly
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Six digits: short enough to read out to a class
+export function randomSeed() {
+  return Math.floor(Math.random() * 900000) + 100000;
+}
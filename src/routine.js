@@ -0,0 +1,136 @@
+// Practice routines. The tabs run them on the UI thread; kuramoto.worker.js runs its own, so
+// the automation lands on the bar line in simulation time.
+
+// ─── Practice routines ──────────────────────────────────────────────────
+// A routine is a list of steps evaluated at every bar line from the start of playback:
+//   { type: 'hold', bars, values: { bpm: 120, drift: 1 } }
+//   { type: 'stepUp', param, by, everyBars, to }              e.g. BPM +2 every 16 bars up to 132
+//   { type: 'ramp', param, from, to, length, unit: 'bars' | 'minutes' }
+export const ROUTINE_PARAMS = {
+  fractal: [
+    { id: 'bpm', label: 'BPM', min: 80, max: 180, step: 0.1 },
+    { id: 'drift', label: 'Drift %', min: 0, max: 5, step: 0.1 },
+    { id: 'color', label: 'Color β', min: 0, max: 2, step: 0.05 },
+  ],
+  kuramoto: [
+    { id: 'bpm', label: 'BPM', min: 80, max: 180, step: 0.1 },
+    { id: 'coupling', label: 'Cohesion K', min: 0, max: 10, step: 0.1 },
+    { id: 'spread', label: 'Spread %', min: 0, max: 10, step: 0.1 },
+  ],
+  wk: [
+    { id: 'bpm', label: 'BPM', min: 80, max: 180, step: 0.1 },
+    { id: 'clockSD', label: 'Clock SD %', min: 0, max: 5, step: 0.1 },
+    { id: 'motorSD', label: 'Motor SD ms', min: 0, max: 30, step: 1 },
+  ],
+  pll: [
+    { id: 'bpm', label: 'BPM', min: 80, max: 180, step: 0.1 },
+    { id: 'Kp', label: 'Kp', min: -0.5, max: 1, step: 0.01 },
+    { id: 'Ki', label: 'Ki', min: 0, max: 0.1, step: 0.001 },
+  ],
+  adam: [
+    { id: 'bpm', label: 'BPM', min: 80, max: 180, step: 0.1 },
+    { id: 'blend', label: 'Anticipation %', min: 0, max: 100, step: 1 },
+    { id: 'phaseGain', label: 'Phase corr. α', min: 0, max: 1, step: 0.01 },
+  ],
+};
+
+export function describeRoutineStep(step, paramDefs) {
+  const label = (id) => (paramDefs.find(p => p.id === id) || { label: id }).label;
+  if (step.type === 'hold') {
+    const values = Object.entries(step.values).map(([id, v]) => `${label(id)} ${v}`).join(', ');
+    return `${step.bars} bars${values ? ` · ${values}` : ''}`;
+  }
+  if (step.type === 'stepUp') {
+    return `${label(step.param)} ${step.by >= 0 ? '+' : ''}${step.by} every ${step.everyBars} bars to ${step.to}`;
+  }
+  const unit = step.unit === 'minutes' ? 'min' : 'bars';
+  return `${label(step.param)} ${step.from ?? 'now'} → ${step.to} over ${step.length} ${unit}`;
+}
+
+export class RoutineRunner {
+  constructor(steps, paramDefs, startValues) {
+    this.steps = steps;
+    this.paramDefs = paramDefs;
+    this.current = { ...startValues };
+    this.stepIndex = 0;
+    this.stepBar = 0;       // bars already played in the current step
+    this.stepStart = 0;     // audio time the current step began
+    this.stepFrom = null;   // starting value of a stepUp/ramp
+    this.rampProgress = 0;
+    this.bars = 0;
+  }
+
+  get done() {
+    return this.stepIndex >= this.steps.length;
+  }
+
+  round(param, value) {
+    const def = this.paramDefs.find(p => p.id === param);
+    const clamped = Math.max(def.min, Math.min(def.max, value));
+    return Number((Math.round(clamped / def.step) * def.step).toFixed(4));
+  }
+
+  stepFinished(step) {
+    if (step.type === 'hold') return this.stepBar >= step.bars;
+    if (step.type === 'stepUp') {
+      const moves = step.by === 0 || Math.sign(step.to - this.stepFrom) !== Math.sign(step.by)
+        ? 0 : Math.ceil((step.to - this.stepFrom) / step.by);
+      return this.stepBar >= (moves + 1) * step.everyBars;
+    }
+    // Time ramps end once a bar has played the target value
+    if (step.unit === 'minutes') return this.rampProgress >= 1;
+    return this.stepBar >= step.length;
+  }
+
+  // Called at each bar line with its audio time; returns the parameter values for that bar
+  bar(time) {
+    while (!this.done) {
+      const step = this.steps[this.stepIndex];
+      if (this.stepBar === 0) {
+        this.stepStart = time;
+        this.stepFrom = step.type === 'hold' ? null : (step.from ?? this.current[step.param]);
+        this.rampProgress = 0;
+        break;
+      }
+      if (!this.stepFinished(step)) break;
+      this.stepIndex++;
+      this.stepBar = 0;
+    }
+    if (this.done) return null;
+
+    const step = this.steps[this.stepIndex];
+    let values;
+    if (step.type === 'hold') {
+      values = Object.fromEntries(Object.entries(step.values).map(([id, v]) => [id, this.round(id, v)]));
+    } else if (step.type === 'stepUp') {
+      const raw = this.stepFrom + step.by * Math.floor(this.stepBar / step.everyBars);
+      const value = step.by >= 0 ? Math.min(step.to, raw) : Math.max(step.to, raw);
+      values = { [step.param]: this.round(step.param, value) };
+    } else {
+      const progress = step.unit === 'minutes'
+        ? (time - this.stepStart) / (step.length * 60)
+        : step.length <= 1 ? 1 : this.stepBar / (step.length - 1); // the last bar always lands on the target
+      this.rampProgress = Math.min(1, progress);
+      const value = this.stepFrom + (step.to - this.stepFrom) * this.rampProgress;
+      values = { [step.param]: this.round(step.param, value) };
+    }
+    Object.assign(this.current, values);
+    this.stepBar++;
+    this.bars++;
+    return values;
+  }
+
+  progress() {
+    if (this.done) return { done: true, bars: this.bars, stepIndex: this.steps.length, stepCount: this.steps.length };
+    const step = this.steps[this.stepIndex];
+    return {
+      done: false,
+      bars: this.bars,
+      stepIndex: this.stepIndex,
+      stepCount: this.steps.length,
+      stepBar: this.stepBar,
+      label: describeRoutineStep(step, this.paramDefs),
+      values: { ...this.current },
+    };
+  }
+}